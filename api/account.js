@@ -0,0 +1,205 @@
+// api/account.js - personal data export and self-service account deletion
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { authenticateRequest, clearSessionCookies } from '../lib/auth.js';
+import { ARTICLE_IMAGE_BUCKET, deleteOwnerImages, ownerImageFolders } from '../lib/images.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Credentials and security state are never part of an export
+const PRIVATE_USER_FIELDS = [
+  'security_codes',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_last_counter',
+  'totp_recovery_codes'
+];
+
+async function selectAll(table, columns, column, value) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .eq(column, value);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Everything the platform stores about the user
+async function buildExport(userId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+
+  const profile = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+  profile.authenticatorEnabled = !!user.totp_secret;
+
+  const [articles, comments, likes, bookmarks, views, sessions, apiTokens] = await Promise.all([
+    selectAll('superhero_articles', '*', 'user_id', userId),
+    selectAll('comments', '*', 'user_id', userId),
+    selectAll('article_likes', '*', 'user_id', userId),
+    selectAll('article_bookmarks', '*', 'user_id', userId),
+    selectAll('article_views', '*', 'user_id', userId),
+    selectAll('user_sessions', 'id, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at', 'user_id', userId),
+    selectAll('api_tokens', 'id, name, token_prefix, scopes, created_at, last_used_at, expires_at, revoked_at', 'user_id', userId)
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    articles,
+    comments,
+    likes,
+    bookmarks,
+    views,
+    sessions,
+    apiTokens
+  };
+}
+
+async function deleteWhere(table, column, values) {
+  if (Array.isArray(values) && values.length === 0) return;
+
+  let query = supabase.from(table).delete();
+  query = Array.isArray(values) ? query.in(column, values) : query.eq(column, values);
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+// Upload folders of the user that articles they don't own still reference.
+// Run after their own articles are gone, so whatever matches belongs to others.
+async function sharedImageFolders(userId) {
+  const marker = `/${ARTICLE_IMAGE_BUCKET}/${userId}/`;
+  const folders = new Set();
+
+  for (const table of ['superhero_articles', 'article_revisions']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('image_url, content')
+      .or(`image_url.like.*${marker}*,content.like.*${marker}*`);
+
+    if (error) throw error;
+
+    for (const row of data) {
+      ownerImageFolders(ARTICLE_IMAGE_BUCKET, userId, `${row.image_url} ${row.content}`)
+        .forEach(folder => folders.add(folder));
+    }
+  }
+
+  return [...folders];
+}
+
+// Deletion policy:
+// - the user's articles are deleted together with everyone's comments, likes,
+//   bookmarks and views on them
+// - the user's comments, likes, bookmarks and views on other articles are deleted,
+//   and like counters on those articles are decremented
+// - replies to the user's comments are deleted with them (comments cascade to replies)
+// - sessions, sign-in links and API tokens go with the user row
+// - uploaded article images and avatars are removed from storage, except images
+//   the user uploaded as an editor that other owners' articles or their history
+//   still show
+// - revision history goes with the article; the user's edits to other articles
+//   stay in history with the editor cleared
+// - collaborator invitations go with the article; the user's collaborations on
+//   other articles end, while invitations they sent stay with the inviter cleared
+//
+// The steps below are separate requests, not one transaction. A failure partway
+// leaves the account partly deleted but still signed in, and repeating the
+// request finishes the job: every step only removes what is still there, and a
+// like is removed before its counter is decremented so no like is counted twice.
+// Storage cleanup runs last, after the user row is gone, and is not retried.
+async function deleteAccount(userId) {
+  const ownArticles = await selectAll('superhero_articles', 'id', 'user_id', userId);
+  const ownArticleIds = ownArticles.map(article => article.id);
+
+  for (const table of ['comments', 'article_likes', 'article_bookmarks', 'article_views']) {
+    await deleteWhere(table, 'article_id', ownArticleIds);
+  }
+  await deleteWhere('superhero_articles', 'id', ownArticleIds);
+
+  const likes = await selectAll('article_likes', 'article_id', 'user_id', userId);
+  for (const like of likes) {
+    const { data: removed, error } = await supabase
+      .from('article_likes')
+      .delete()
+      .eq('article_id', like.article_id)
+      .eq('user_id', userId)
+      .select('article_id');
+
+    if (error) throw error;
+    if (removed.length) {
+      await supabase.rpc('decrement_likes', { article_id: like.article_id });
+    }
+  }
+
+  for (const table of ['comments', 'article_likes', 'article_bookmarks', 'article_views']) {
+    await deleteWhere(table, 'user_id', userId);
+  }
+
+  for (const table of ['user_sessions', 'magic_links', 'api_tokens']) {
+    await deleteWhere(table, 'user_id', userId);
+  }
+
+  await deleteWhere('users', 'id', userId);
+
+  await deleteOwnerImages(ARTICLE_IMAGE_BUCKET, userId, await sharedImageFolders(userId));
+  await deleteOwnerImages('avatars', userId);
+
+  return { articlesDeleted: ownArticleIds.length };
+}
+
+export default async function handler(req, res) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const data = await buildExport(user.id);
+      const date = new Date().toISOString().split('T')[0];
+
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="superarticles-export-${date}.json"`);
+      return res.status(200).send(JSON.stringify(data, null, 2));
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, confirmEmail } = req.body;
+
+    if (action !== 'delete') {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    // Typing the address guards against accidental or forged one-click deletion
+    if (!confirmEmail || confirmEmail.trim().toLowerCase() !== user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'Confirm deletion by entering your account email' });
+    }
+
+    const result = await deleteAccount(user.id);
+
+    res.setHeader('Set-Cookie', clearSessionCookies());
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and its data have been deleted',
+      ...result
+    });
+  } catch (error) {
+    console.error('Account error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,582 @@
+// api/admin.js - moderation and administration API behind the /admin console
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { authenticateRequest, hasRole, revokeAllSessions } from '../lib/auth.js';
+import { runCleanup } from './cleanup.js';
+import { isPageNameTaken, renewalSchedule } from '../lib/articles.js';
+import { tagCounts, mergeTags } from '../lib/taxonomy.js';
+import { listCommentFilters, addCommentFilter, removeCommentFilter } from '../lib/comment-filter.js';
+import { sanitizeText } from '../lib/sanitize.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const ROLES = ['user', 'moderator', 'admin'];
+const MAX_PAGE_SIZE = 100;
+
+// Strip characters that have meaning inside PostgREST filter strings
+function sanitizeSearch(q) {
+  return String(q || '').replace(/[,()%*"\\]/g, ' ').trim().substring(0, 100);
+}
+
+function pagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Every moderation decision is recorded with its actor and reason
+async function logAction(actor, action, targetType, targetId, reason, details = {}) {
+  const { error } = await supabase
+    .from('moderation_actions')
+    .insert({
+      actor_id: actor.id,
+      action,
+      target_type: targetType,
+      target_id: String(targetId),
+      reason: reason || null,
+      details,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Moderation log error:', error);
+  }
+}
+
+async function listArticles(query) {
+  const { limit, offset } = pagination(query);
+  const q = sanitizeSearch(query.q);
+
+  let request = supabase
+    .from('superhero_articles')
+    .select(
+      'id, title, page_name, encrypted_id, status, category, views, user_id, created_at, removal_date, removal_reason, users (id, email, username), featured_articles (position, expires_at)',
+      { count: 'exact' }
+    )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (q) {
+    request = request.or(`title.ilike.%${q}%,page_name.ilike.%${q}%,encrypted_id.ilike.%${q}%`);
+  }
+  if (query.status) {
+    request = request.eq('status', query.status);
+  }
+  if (query.userId) {
+    request = request.eq('user_id', query.userId);
+  }
+
+  const { data, count, error } = await request;
+  if (error) throw error;
+
+  return {
+    items: data.map(({ featured_articles: featured, ...article }) => ({
+      ...article,
+      featured: (Array.isArray(featured) ? featured[0] : featured) || null
+    })),
+    total: count,
+    limit,
+    offset
+  };
+}
+
+async function listUsers(query) {
+  const { limit, offset } = pagination(query);
+  const q = sanitizeSearch(query.q);
+
+  let request = supabase
+    .from('users')
+    .select(
+      'id, email, username, role, email_verified_at, banned_at, ban_reason, locked_until, last_login, created_at',
+      { count: 'exact' }
+    )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (q) {
+    request = request.or(`email.ilike.%${q}%,username.ilike.%${q}%`);
+  }
+  if (query.role) {
+    request = request.eq('role', query.role);
+  }
+  if (query.banned === 'true') {
+    request = request.not('banned_at', 'is', null);
+  }
+
+  const { data, count, error } = await request;
+  if (error) throw error;
+
+  return { items: data, total: count, limit, offset };
+}
+
+async function listActions(query) {
+  const { limit, offset } = pagination(query);
+
+  const { data, count, error } = await supabase
+    .from('moderation_actions')
+    .select('*, actor:users!moderation_actions_actor_id_fkey (id, email, username)', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  return { items: data, total: count, limit, offset };
+}
+
+// Tags in use with their counts and the aliases that map to them
+async function listTags(query) {
+  const { limit, offset } = pagination(query);
+  const { items, total } = await tagCounts({ q: query.q, limit, offset });
+
+  const { data: aliases, error } = await supabase
+    .from('tag_aliases')
+    .select('alias, tag')
+    .in('tag', items.map(item => item.tag));
+
+  if (error) throw error;
+
+  return {
+    items: items.map(item => ({
+      ...item,
+      aliases: aliases.filter(row => row.tag === item.tag).map(row => row.alias)
+    })),
+    total,
+    limit,
+    offset
+  };
+}
+
+// Moderation queue: comments held for review (pending), or live comments with
+// open reports that have not reached the hold threshold yet (reported)
+async function listCommentQueue(query) {
+  const { limit, offset } = pagination(query);
+  const reported = query.status === 'reported';
+
+  let request = supabase
+    .from('comments')
+    .select(
+      `id, content, moderation_status, moderation_reasons, created_at, edited_at,
+       users!comments_user_id_fkey (id, email, username),
+       superhero_articles (id, title, encrypted_id),
+       ${reported ? 'comment_reports!inner' : 'comment_reports'} (reason, details, created_at, resolved_at)`,
+      { count: 'exact' }
+    )
+    .eq('moderation_status', reported ? 'approved' : 'pending')
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (reported) {
+    request = request.is('comment_reports.resolved_at', null);
+  }
+
+  const { data, count, error } = await request;
+  if (error) throw error;
+
+  return {
+    // Same plain text contract as the public thread, whatever ended up in the row
+    items: data.map(({ comment_reports: reports, ...comment }) => ({
+      ...comment,
+      content: sanitizeText(comment.content),
+      reports: reports
+        .filter(report => !report.resolved_at)
+        .map(report => ({ ...report, details: report.details ? sanitizeText(report.details) : null }))
+    })),
+    total: count,
+    limit,
+    offset
+  };
+}
+
+// Approving publishes a held comment (or dismisses the reports on a live one),
+// rejecting hides it for good. Either way its open reports are resolved.
+async function reviewComment(actor, commentId, decision, reason, res) {
+  const { data: comment } = await supabase
+    .from('comments')
+    .select('id, moderation_status')
+    .eq('id', commentId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!comment) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  if (comment.moderation_status === 'rejected') {
+    return res.status(400).json({ error: 'Comment is already rejected' });
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('comments')
+    .update({
+      moderation_status: decision === 'approve' ? 'approved' : 'rejected',
+      reviewed_by: actor.id,
+      reviewed_at: now
+    })
+    .eq('id', commentId);
+
+  if (error) throw error;
+
+  const { error: reportsError } = await supabase
+    .from('comment_reports')
+    .update({ resolved_at: now, resolved_by: actor.id })
+    .eq('comment_id', commentId)
+    .is('resolved_at', null);
+
+  if (reportsError) throw reportsError;
+
+  await logAction(actor, `${decision}-comment`, 'comment', commentId, reason, { previousStatus: comment.moderation_status });
+
+  return res.status(200).json({
+    success: true,
+    message: decision === 'approve' ? 'Comment approved' : 'Comment rejected'
+  });
+}
+
+async function addFilter(actor, kind, pattern, res) {
+  const result = await addCommentFilter(kind, pattern, actor.id);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  await logAction(actor, 'add-comment-filter', 'comment-filter', result.filter.id, null, { kind, pattern: result.filter.pattern });
+
+  return res.status(200).json({ success: true, message: 'Filter added', filter: result.filter });
+}
+
+async function removeFilter(actor, filterId, res) {
+  const removed = await removeCommentFilter(filterId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Filter not found' });
+  }
+
+  await logAction(actor, 'remove-comment-filter', 'comment-filter', filterId, null, { kind: removed.kind, pattern: removed.pattern });
+
+  return res.status(200).json({ success: true, message: 'Filter removed' });
+}
+
+async function mergeTag(actor, tag, into, res) {
+  const result = await mergeTags(tag, into, actor.id);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  await logAction(actor, 'merge-tags', 'tag', tag, null, { into: result.tag, articlesUpdated: result.articlesUpdated });
+
+  return res.status(200).json({
+    success: true,
+    message: `Merged into "${result.tag}" (${result.articlesUpdated} articles updated)`
+  });
+}
+
+// Staff picks lead the homepage in position order, optionally until expiresAt
+async function featureArticle(actor, articleId, position, expiresAt, res) {
+  const { data: article } = await supabase
+    .from('superhero_articles')
+    .select('id, status')
+    .eq('id', articleId)
+    .maybeSingle();
+
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+  if (article.status !== 'active') {
+    return res.status(400).json({ error: 'Only active articles can be featured' });
+  }
+
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && (Number.isNaN(expires.getTime()) || expires <= new Date())) {
+    return res.status(400).json({ error: 'Expiry must be a date in the future' });
+  }
+
+  const { error } = await supabase
+    .from('featured_articles')
+    .upsert({
+      article_id: articleId,
+      position: Number.isInteger(position) ? position : 0,
+      featured_by: actor.id,
+      created_at: new Date().toISOString(),
+      expires_at: expires ? expires.toISOString() : null
+    });
+
+  if (error) throw error;
+
+  await logAction(actor, 'feature-article', 'article', articleId, null, { position, expiresAt: expires });
+
+  return res.status(200).json({ success: true, message: 'Article featured' });
+}
+
+async function unfeatureArticle(actor, articleId, res) {
+  const { data: removed, error } = await supabase
+    .from('featured_articles')
+    .delete()
+    .eq('article_id', articleId)
+    .select('article_id');
+
+  if (error) throw error;
+  if (!removed.length) {
+    return res.status(404).json({ error: 'Article is not featured' });
+  }
+
+  await logAction(actor, 'unfeature-article', 'article', articleId, null);
+
+  return res.status(200).json({ success: true, message: 'Article no longer featured' });
+}
+
+async function removeArticle(actor, articleId, reason, res) {
+  const { data: article } = await supabase
+    .from('superhero_articles')
+    .select('id, status')
+    .eq('id', articleId)
+    .single();
+
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+  if (article.status === 'removed') {
+    return res.status(400).json({ error: 'Article is already removed' });
+  }
+
+  const { error } = await supabase
+    .from('superhero_articles')
+    .update({
+      status: 'removed',
+      removal_date: new Date().toISOString(),
+      removal_reason: `moderation: ${reason}`,
+      status_before_removal: article.status
+    })
+    .eq('id', articleId);
+
+  if (error) throw error;
+
+  await logAction(actor, 'remove-article', 'article', articleId, reason, { previousStatus: article.status });
+
+  return res.status(200).json({ success: true, message: 'Article removed' });
+}
+
+async function restoreArticle(actor, articleId, reason, res) {
+  const { data: article } = await supabase
+    .from('superhero_articles')
+    .select('id, page_name, status, status_before_removal')
+    .eq('id', articleId)
+    .single();
+
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+  if (article.status !== 'removed') {
+    return res.status(400).json({ error: 'Only removed articles can be restored' });
+  }
+
+  // The page name may have been claimed while the article was removed
+  if (article.page_name && await isPageNameTaken(article.page_name, articleId)) {
+    return res.status(409).json({ error: 'Another article now uses this page name' });
+  }
+
+  // Restored articles get a fresh renewal window, restored drafts and scheduled
+  // articles stay unpublished and get theirs on publication
+  const now = new Date();
+  const unpublished = ['draft', 'scheduled'].includes(article.status_before_removal);
+
+  const { error } = await supabase
+    .from('superhero_articles')
+    .update({
+      status: unpublished ? article.status_before_removal : 'active',
+      removal_reason: null,
+      status_before_removal: null,
+      ...(unpublished
+        ? { last_renewed: null, next_renewal_date: null, removal_date: null }
+        : renewalSchedule(now)),
+      updated_at: now.toISOString()
+    })
+    .eq('id', articleId);
+
+  if (error) throw error;
+
+  await logAction(actor, 'restore-article', 'article', articleId, reason);
+
+  return res.status(200).json({ success: true, message: 'Article restored' });
+}
+
+async function setBan(actor, userId, reason, banned, res) {
+  if (userId === actor.id) {
+    return res.status(400).json({ error: 'You cannot ban yourself' });
+  }
+
+  const { data: target } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', userId)
+    .single();
+
+  if (!target) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Staff can only be banned by an admin
+  if (hasRole(target, 'moderator') && !hasRole(actor, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can ban staff accounts' });
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      banned_at: banned ? new Date().toISOString() : null,
+      ban_reason: banned ? reason : null,
+      banned_by: banned ? actor.id : null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  if (banned) {
+    await revokeAllSessions(userId);
+  }
+
+  await logAction(actor, banned ? 'ban-user' : 'unban-user', 'user', userId, reason);
+
+  return res.status(200).json({
+    success: true,
+    message: banned ? 'User banned' : 'User unbanned'
+  });
+}
+
+async function setRole(actor, userId, role, res) {
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (userId === actor.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  const { data: updated, error } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('id', userId)
+    .select('id');
+
+  if (error) throw error;
+  if (!updated.length) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  await logAction(actor, 'set-role', 'user', userId, null, { role });
+
+  return res.status(200).json({ success: true, message: `Role set to ${role}` });
+}
+
+export default async function handler(req, res) {
+  try {
+    const user = await authenticateRequest(req, 'id, email, username, role');
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(user, 'moderator')) {
+      return res.status(403).json({ error: 'Moderator access required' });
+    }
+
+    if (req.method === 'GET') {
+      const { resource } = req.query;
+
+      switch (resource) {
+        case 'me':
+          return res.status(200).json({
+            success: true,
+            user: { id: user.id, email: user.email, username: user.username, role: user.role }
+          });
+        case 'articles':
+          return res.status(200).json({ success: true, ...await listArticles(req.query) });
+        case 'users':
+          return res.status(200).json({ success: true, ...await listUsers(req.query) });
+        case 'actions':
+          return res.status(200).json({ success: true, ...await listActions(req.query) });
+        case 'tags':
+          return res.status(200).json({ success: true, ...await listTags(req.query) });
+        case 'comments':
+          return res.status(200).json({ success: true, ...await listCommentQueue(req.query) });
+        case 'comment-filters': {
+          const filters = await listCommentFilters();
+          return res.status(200).json({ success: true, items: filters, total: filters.length });
+        }
+        default:
+          return res.status(400).json({ error: 'Invalid resource' });
+      }
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, articleId, userId, commentId, filterId, reason, role, tag, into, kind, pattern, position, expiresAt } = req.body;
+    const trimmedReason = typeof reason === 'string' ? reason.trim().substring(0, 500) : '';
+
+    // Every removal and ban needs a reason for the audit log
+    const requiresReason = ['remove-article', 'restore-article', 'ban-user', 'reject-comment'];
+    if (requiresReason.includes(action) && !trimmedReason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    switch (action) {
+      case 'remove-article':
+        return await removeArticle(user, articleId, trimmedReason, res);
+
+      case 'restore-article':
+        return await restoreArticle(user, articleId, trimmedReason, res);
+
+      case 'feature-article':
+        return await featureArticle(user, articleId, position, expiresAt, res);
+
+      case 'unfeature-article':
+        return await unfeatureArticle(user, articleId, res);
+
+      case 'ban-user':
+        return await setBan(user, userId, trimmedReason, true, res);
+
+      case 'unban-user':
+        return await setBan(user, userId, trimmedReason, false, res);
+
+      case 'merge-tags':
+        return await mergeTag(user, tag, into, res);
+
+      case 'approve-comment':
+        return await reviewComment(user, commentId, 'approve', trimmedReason, res);
+
+      case 'reject-comment':
+        return await reviewComment(user, commentId, 'reject', trimmedReason, res);
+
+      case 'add-comment-filter':
+        return await addFilter(user, kind, pattern, res);
+
+      case 'remove-comment-filter':
+        return await removeFilter(user, filterId, res);
+
+      case 'set-role':
+        if (!hasRole(user, 'admin')) {
+          return res.status(403).json({ error: 'Admin access required' });
+        }
+        return await setRole(user, userId, role, res);
+
+      case 'run-cleanup': {
+        if (!hasRole(user, 'admin')) {
+          return res.status(403).json({ error: 'Admin access required' });
+        }
+        const stats = await runCleanup();
+        await logAction(user, 'run-cleanup', 'system', 'cleanup', null, stats);
+        return res.status(200).json({
+          success: true,
+          message: 'Cleanup process completed',
+          stats
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Admin error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
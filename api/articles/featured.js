@@ -0,0 +1,127 @@
+// api/articles/featured.js - homepage articles: staff picks first, then trending ones
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../../supabase-config.js';
+import { imageVariants } from '../../lib/images.js';
+import { articlePath } from '../../lib/articles.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const FEATURED_LIMIT = 6;
+const MAX_FEATURED_LIMIT = 12;
+
+const CARD_COLUMNS = `
+  id, encrypted_id, title, page_name, description, image_url, tags, category,
+  status, views, next_renewal_date, created_at,
+  users (username)
+`;
+
+// The shape index.html renders its article cards from
+function formatCard(article, curated) {
+  return {
+    id: article.id,
+    encrypted_id: article.encrypted_id,
+    title: article.title,
+    page_name: article.page_name,
+    article_path: article.page_name ? articlePath(article.page_name) : `/${article.encrypted_id}`,
+    image_url: imageVariants(article.image_url)?.card || article.image_url,
+    excerpt: article.description || '',
+    author: article.users?.username || null,
+    tags: article.tags || [],
+    category: article.category,
+    status: article.status,
+    views: article.views || 0,
+    next_renewal_date: article.next_renewal_date,
+    created_at: article.created_at,
+    curated
+  };
+}
+
+async function curatedArticles(limit) {
+  const { data, error } = await supabase
+    .from('featured_articles')
+    .select(`position, superhero_articles!inner (${CARD_COLUMNS})`)
+    .eq('superhero_articles.status', 'active')
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data.map(row => row.superhero_articles);
+}
+
+// Trending live articles other than excludeIds, topped up with the most viewed
+async function rankedArticles(limit, excludeIds) {
+  const { data: trending, error } = await supabase
+    .from('trending_articles')
+    .select('id')
+    .order('score', { ascending: false })
+    .limit(limit + excludeIds.length);
+
+  if (error) throw error;
+
+  const ids = trending.map(row => row.id).filter(id => !excludeIds.includes(id)).slice(0, limit);
+  let articles = [];
+
+  if (ids.length) {
+    const { data, error: articlesError } = await supabase
+      .from('superhero_articles')
+      .select(CARD_COLUMNS)
+      .in('id', ids)
+      .eq('status', 'active');
+
+    if (articlesError) throw articlesError;
+    const byId = new Map(data.map(article => [article.id, article]));
+    articles = ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // A quiet stretch leaves nothing trending; fall back to the most viewed ever
+  if (articles.length < limit) {
+    const skip = [...excludeIds, ...articles.map(article => article.id)];
+    let query = supabase
+      .from('superhero_articles')
+      .select(CARD_COLUMNS)
+      .eq('status', 'active')
+      .order('views', { ascending: false })
+      .order('created_at', { ascending: false })
+      .limit(limit - articles.length);
+
+    if (skip.length) {
+      query = query.not('id', 'in', `(${skip.join(',')})`);
+    }
+
+    const { data, error: popularError } = await query;
+    if (popularError) throw popularError;
+    articles = articles.concat(data);
+  }
+
+  return articles;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || FEATURED_LIMIT, 1), MAX_FEATURED_LIMIT);
+
+    const curated = await curatedArticles(limit);
+    const ranked = curated.length < limit
+      ? await rankedArticles(limit - curated.length, curated.map(article => article.id))
+      : [];
+
+    // The homepage renders the array as is
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json([
+      ...curated.map(article => formatCard(article, true)),
+      ...ranked.map(article => formatCard(article, false))
+    ]);
+  } catch (error) {
+    console.error('Featured articles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,8 +1,12 @@
 // api/cleanup.js
 import { createClient } from '@supabase/supabase-js';
 import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { storeArticleImage } from '../lib/images.js';
+import { publishDueArticles } from '../lib/articles.js';
+import { getCategory } from '../lib/taxonomy.js';
+import { refreshPlatformStats } from './stats.js';
 
-const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.key);
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
 
 // Cron job security check
 function validateCronRequest(req) {
@@ -162,10 +166,10 @@ async function generateRecommendations() {
       recs.push("Add recent developments and fan theories");
     }
     
-    if (article.category === 'movie') {
-      recs.push("Include latest film adaptations and casting news");
-    } else if (article.category === 'comic') {
-      recs.push("Add recent story arcs and crossover events");
+    // Category specific advice comes from the registry
+    const { renewalHint } = getCategory(article.category);
+    if (renewalHint) {
+      recs.push(renewalHint);
     }
     
     if (article.tags.length < 5) {
@@ -195,6 +199,122 @@ async function generateRecommendations() {
   return recommendations.length;
 }
 
+// Delete expired rate-limit counters and sign-in links
+async function pruneAuthRecords() {
+  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  const { error: eventsError } = await supabase
+    .from('rate_limit_events')
+    .delete()
+    .lt('created_at', oneDayAgo);
+
+  if (eventsError) {
+    console.error('Error pruning rate limit events:', eventsError);
+  }
+
+  const { error: linksError } = await supabase
+    .from('magic_links')
+    .delete()
+    .lt('expires_at', oneDayAgo);
+
+  if (linksError) {
+    console.error('Error pruning magic links:', linksError);
+  }
+}
+
+// Move images still stored inline as base64 into storage, a batch per run
+async function moveInlineImages(batchSize = 20) {
+  const { data: articles, error } = await supabase
+    .from('superhero_articles')
+    .select('id, user_id, image_url')
+    .like('image_url', 'data:%')
+    .limit(batchSize);
+
+  if (error) {
+    console.error('Error fetching inline images:', error);
+    return 0;
+  }
+
+  let moved = 0;
+  for (const article of articles) {
+    const stored = await storeArticleImage(article.user_id, article.image_url);
+    if (stored.error) {
+      console.error(`Could not move image of article ${article.id}:`, stored.error);
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('superhero_articles')
+      .update({ image_url: stored.urls.hero })
+      .eq('id', article.id);
+
+    if (updateError) {
+      console.error(`Error updating image of article ${article.id}:`, updateError);
+      continue;
+    }
+    moved++;
+  }
+
+  if (moved > 0) {
+    console.log(`Moved ${moved} inline images to storage`);
+  }
+  return moved;
+}
+
+// Run every cleanup step, shared by the cron handler and the admin console
+export async function runCleanup() {
+  const startTime = Date.now();
+  
+  console.log('Starting automated cleanup process...');
+  
+  // Step 0: Publish scheduled articles whose embargo has lifted
+  let publishedCount = 0;
+  try {
+    publishedCount = await publishDueArticles();
+  } catch (error) {
+    console.error('Error publishing scheduled articles:', error);
+  }
+  
+  // Step 1: Mark outdated articles
+  const outdatedCount = await markOutdatedArticles();
+  
+  // Step 2: Remove articles outdated for 20+ days
+  const removedCount = await removeOldArticles();
+  
+  // Step 3: Generate renewal recommendations
+  const recommendationsCount = await generateRecommendations();
+  
+  // Step 4: Send renewal notifications (optional, if email configured)
+  if (process.env.SMTP_HOST) {
+    await notifyUsersOfOutdatedArticles();
+  }
+  
+  // Step 5: Prune expired rate-limit counters and sign-in links
+  await pruneAuthRecords();
+  
+  // Step 6: Move legacy inline images to storage
+  const imagesMoved = await moveInlineImages();
+  
+  // Step 7: Recompute the homepage totals after this run's changes
+  try {
+    await refreshPlatformStats();
+  } catch (error) {
+    console.error('Error refreshing platform stats:', error);
+  }
+  
+  const endTime = Date.now();
+  const duration = (endTime - startTime) / 1000;
+  
+  return {
+    scheduledPublished: publishedCount,
+    outdatedMarked: outdatedCount,
+    removed: removedCount,
+    recommendationsGenerated: recommendationsCount,
+    imagesMoved,
+    duration: `${duration.toFixed(2)} seconds`
+  };
+}
+
 // Main cleanup handler
 export default async function handler(req, res) {
   // Only allow POST requests with valid cron secret
@@ -206,36 +326,12 @@ export default async function handler(req, res) {
   }
   
   try {
-    const startTime = Date.now();
-    
-    console.log('Starting automated cleanup process...');
-    
-    // Step 1: Mark outdated articles
-    const outdatedCount = await markOutdatedArticles();
-    
-    // Step 2: Remove articles outdated for 20+ days
-    const removedCount = await removeOldArticles();
-    
-    // Step 3: Generate renewal recommendations
-    const recommendationsCount = await generateRecommendations();
-    
-    // Step 4: Send renewal notifications (optional, if email configured)
-    if (process.env.SMTP_HOST) {
-      await notifyUsersOfOutdatedArticles();
-    }
-    
-    const endTime = Date.now();
-    const duration = (endTime - startTime) / 1000;
+    const stats = await runCleanup();
     
     res.status(200).json({
       success: true,
       message: 'Cleanup process completed',
-      stats: {
-        outdatedMarked: outdatedCount,
-        removed: removedCount,
-        recommendationsGenerated: recommendationsCount,
-        duration: `${duration.toFixed(2)} seconds`
-      },
+      stats,
       timestamp: new Date().toISOString(),
       nextRun: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // Next run in 24 hours
     });
@@ -249,19 +345,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// Additional endpoint for manual trigger (protected)
-export async function manualHandler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
-  // Verify admin token
-  const adminToken = req.headers['admin-token'];
-  if (adminToken !== process.env.ADMIN_TOKEN) {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
-  // Call the main handler
-  return handler(req, res);
-}
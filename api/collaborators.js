@@ -0,0 +1,270 @@
+// api/collaborators.js - invite co-authors to an article, list and remove them
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth, authenticateRequest, signToken, verifyToken } from '../lib/auth.js';
+import { sendMail, publicBaseUrl } from '../lib/mail.js';
+import { hitRateLimit, sendRateLimited } from '../lib/rate-limit.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from '../lib/profile.js';
+import { COLLABORATOR_ROLES, MAX_COLLABORATORS, articleRole } from '../lib/collaborators.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const INVITATION_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Invitation links are opened in the browser, so outcomes are redirects back to the homepage
+function redirect(res, outcome) {
+  res.setHeader('Location', `/?invitation=${outcome}`);
+  return res.status(302).end();
+}
+
+async function loadArticle(articleId) {
+  if (!articleId) return null;
+
+  const { data: article } = await supabase
+    .from('superhero_articles')
+    .select('id, user_id, title, status, vercel_url')
+    .eq('id', articleId)
+    .neq('status', 'removed')
+    .maybeSingle();
+
+  return article;
+}
+
+function formatCollaborator(row, includeEmail) {
+  return {
+    id: row.id,
+    role: row.role,
+    status: row.accepted_at ? 'accepted' : 'pending',
+    user: row.user_id ? publicProfile(row.users, row.user_id) : null,
+    ...(includeEmail && { email: row.email }),
+    invited: row.created_at,
+    accepted: row.accepted_at
+  };
+}
+
+async function sendInvitation(invitation, article, inviter) {
+  const token = signToken(invitation.id, { purpose: 'article-invite', email: invitation.email }, INVITATION_TTL_SECONDS);
+  const link = `${publicBaseUrl()}/api/collaborators.js?token=${encodeURIComponent(token)}`;
+  const what = invitation.role === 'editor' ? 'edit and renew' : 'preview';
+  const title = String(article.title || 'an untitled article').replace(/[<>&"]/g, '');
+  const from = String(inviter.username || inviter.email).replace(/[<>&"]/g, '');
+
+  return sendMail({
+    to: invitation.email,
+    subject: `You're invited to collaborate on "${title}"`,
+    text: `${from} invited you to ${what} "${title}" on SuperArticles.\n\nSign in with this email address, then open:\n\n${link}\n\nThe invitation expires in 7 days.`,
+    html: `
+      <h2>Collaboration invitation</h2>
+      <p>${from} invited you to ${what} <strong>${title}</strong> on SuperArticles.</p>
+      <p>Sign in with this email address, then <a href="${link}">accept the invitation</a>.</p>
+      <p>The invitation expires in 7 days.</p>
+    `
+  });
+}
+
+// Bind an emailed invitation to the signed-in account with the invited address
+async function acceptInvitation(req, res) {
+  const claims = verifyToken(req.query.token);
+  if (!claims || claims.purpose !== 'article-invite' || !claims.email) {
+    return redirect(res, 'invalid');
+  }
+
+  const user = await authenticateRequest(req, 'id, email');
+  if (!user) {
+    return redirect(res, 'login-required');
+  }
+
+  if (String(user.email).toLowerCase() !== claims.email) {
+    return redirect(res, 'wrong-account');
+  }
+
+  // Only the first acceptance gets the row back
+  const { data: accepted, error } = await supabase
+    .from('article_collaborators')
+    .update({ user_id: user.id, accepted_at: new Date().toISOString() })
+    .eq('id', claims.sub)
+    .eq('email', claims.email)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return redirect(res, accepted.length ? 'accepted' : 'invalid');
+}
+
+async function listCollaborators(user, articleId, res) {
+  const article = await loadArticle(articleId);
+  const role = article && await articleRole(article, user.id);
+  if (!role) {
+    return res.status(404).json({ error: 'Article not found or unauthorized' });
+  }
+
+  const { data, error } = await supabase
+    .from('article_collaborators')
+    .select(`id, email, role, user_id, created_at, accepted_at, users (${PUBLIC_PROFILE_COLUMNS})`)
+    .eq('article_id', article.id)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  // Invited addresses are only shown to the owner
+  const isOwner = role === 'owner';
+  return res.status(200).json({
+    success: true,
+    role,
+    collaborators: data
+      .filter(row => isOwner || row.accepted_at)
+      .map(row => formatCollaborator(row, isOwner))
+  });
+}
+
+// Invite an address, or change the role of an existing invitation and resend it
+async function inviteCollaborator(user, body, res) {
+  const article = await loadArticle(body.articleId);
+  if (!article || article.user_id !== user.id) {
+    return res.status(404).json({ error: 'Article not found or unauthorized' });
+  }
+
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!EMAIL_REGEX.test(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (email === String(user.email).toLowerCase()) {
+    return res.status(400).json({ error: 'You already own this article' });
+  }
+
+  const role = body.role || 'editor';
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+  }
+
+  const limit = await hitRateLimit(`collaborator-invite:user:${user.id}`, 30, 60 * 60 * 1000);
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit.retryAfter, 'Too many invitations, please try again later');
+  }
+
+  const { data: existing } = await supabase
+    .from('article_collaborators')
+    .select('id, accepted_at')
+    .eq('article_id', article.id)
+    .eq('email', email)
+    .maybeSingle();
+
+  if (!existing) {
+    const { count } = await supabase
+      .from('article_collaborators')
+      .select('id', { count: 'exact', head: true })
+      .eq('article_id', article.id);
+
+    if (count >= MAX_COLLABORATORS) {
+      return res.status(400).json({ error: `An article can have at most ${MAX_COLLABORATORS} collaborators` });
+    }
+  }
+
+  const { data: invitation, error } = existing
+    ? await supabase
+        .from('article_collaborators')
+        .update({ role })
+        .eq('id', existing.id)
+        .select()
+        .single()
+    : await supabase
+        .from('article_collaborators')
+        .insert({
+          article_id: article.id,
+          email,
+          role,
+          invited_by: user.id,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+  if (error) throw error;
+
+  // Accepted collaborators only get their new role, pending ones a fresh link
+  if (!invitation.accepted_at) {
+    try {
+      await sendInvitation(invitation, article, user);
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: invitation.accepted_at ? 'Role updated' : `Invitation sent to ${email}`,
+    collaborator: formatCollaborator(invitation, true)
+  });
+}
+
+// The owner removes anyone; collaborators can remove themselves
+async function removeCollaborator(user, body, res) {
+  const article = await loadArticle(body.articleId);
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found or unauthorized' });
+  }
+
+  let query = supabase
+    .from('article_collaborators')
+    .delete()
+    .eq('id', body.collaboratorId)
+    .eq('article_id', article.id);
+
+  if (article.user_id !== user.id) {
+    query = query.eq('user_id', user.id);
+  }
+
+  const { data: removed, error } = await query.select('id');
+  if (error) throw error;
+
+  if (!removed.length) {
+    return res.status(404).json({ error: 'Collaborator not found' });
+  }
+
+  return res.status(200).json({ success: true, message: 'Collaborator removed' });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET' && req.query.token) {
+      try {
+        return await acceptInvitation(req, res);
+      } catch (error) {
+        console.error('Invitation error:', error);
+        return redirect(res, 'error');
+      }
+    }
+
+    const isRead = req.method === 'GET';
+    if (!isRead && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = await requireAuth(req, res, {
+      scope: isRead ? 'read' : 'upload',
+      columns: 'id, email, username'
+    });
+    if (!user) return;
+
+    if (isRead) {
+      return await listCollaborators(user, req.query.articleId, res);
+    }
+
+    const { action } = req.body;
+    switch (action) {
+      case 'invite':
+        return await inviteCollaborator(user, req.body, res);
+      case 'remove':
+        return await removeCollaborator(user, req.body, res);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Collaborators error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
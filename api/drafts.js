@@ -0,0 +1,250 @@
+// api/drafts.js - server-side drafts autosaved by the upload wizard
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import {
+  PAGE_NAME_REGEX,
+  validateImage,
+  prepareArticleImage,
+  parseContent,
+  isPageNameTaken,
+  generateEncryptedId
+} from '../lib/articles.js';
+import { sanitizeArticleHtml } from '../lib/sanitize.js';
+import { resolveTags, normalizeCategory, DEFAULT_CATEGORY } from '../lib/taxonomy.js';
+import { publicBaseUrl } from '../lib/mail.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const MAX_DRAFTS_PER_USER = 50;
+
+// Wizard-only fields that have no article column of their own
+function buildDraftState(body) {
+  const step = parseInt(body.step, 10);
+  return {
+    step: step >= 1 && step <= 5 ? step : 1,
+    description: typeof body.description === 'string' ? body.description.slice(0, 200) : '',
+    visibility: body.visibility === 'unlisted' ? 'unlisted' : 'public',
+    autoRenewal: body.autoRenewal !== false
+  };
+}
+
+function formatDraft(draft, includeFields = false) {
+  const state = draft.draft_state || {};
+  const formatted = {
+    id: draft.id,
+    title: draft.title,
+    pageName: draft.page_name,
+    imageUrl: draft.image_url || '',
+    step: state.step || 1,
+    created: draft.created_at,
+    updated: draft.updated_at
+  };
+
+  if (includeFields) {
+    formatted.content = parseContent(draft.content).text || '';
+    formatted.tags = draft.tags || [];
+    formatted.category = draft.category;
+    formatted.description = state.description || '';
+    formatted.visibility = state.visibility || 'public';
+    formatted.autoRenewal = state.autoRenewal !== false;
+  }
+
+  return formatted;
+}
+
+async function loadDraft(draftId, userId) {
+  const { data: draft } = await supabase
+    .from('superhero_articles')
+    .select('*')
+    .eq('id', draftId)
+    .eq('user_id', userId)
+    .eq('status', 'draft')
+    .maybeSingle();
+
+  return draft;
+}
+
+// Create or update a draft. Only what was typed so far is required to be valid.
+async function saveDraft(user, body, res) {
+  const { draftId, title, pageName, content, imageUrl, tags, category } = body;
+
+  if (pageName && !PAGE_NAME_REGEX.test(pageName)) {
+    return res.status(400).json({
+      error: 'Page name must be 3-50 lowercase letters, numbers, and hyphens only'
+    });
+  }
+
+  if (imageUrl) {
+    const imageError = validateImage(imageUrl);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+  }
+
+  let draft = null;
+  if (draftId) {
+    draft = await loadDraft(draftId, user.id);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+  } else {
+    const { count } = await supabase
+      .from('superhero_articles')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('status', 'draft');
+
+    if (count >= MAX_DRAFTS_PER_USER) {
+      return res.status(400).json({ error: `You can keep at most ${MAX_DRAFTS_PER_USER} drafts` });
+    }
+  }
+
+  // A draft reserves its page name just like a published article
+  if (pageName && await isPageNameTaken(pageName, draft?.id)) {
+    return res.status(400).json({ error: 'Page name already exists' });
+  }
+
+  // Inline images are stored on first save, later saves send back the stored URL
+  let storedImageUrl = null;
+  if (imageUrl) {
+    const image = await prepareArticleImage(user.id, imageUrl);
+    if (image.error) {
+      return res.status(400).json({ error: image.error });
+    }
+    storedImageUrl = image.imageUrl;
+  }
+
+  const now = new Date().toISOString();
+  const cleanContent = sanitizeArticleHtml(content);
+  const encryptedId = draft ? null : generateEncryptedId(pageName || 'draft', user.id);
+  const baseUrl = publicBaseUrl();
+  const draftData = {
+    title: typeof title === 'string' ? title.trim() : '',
+    page_name: pageName || null,
+    content: JSON.stringify({
+      text: cleanContent,
+      formatted: cleanContent,
+      created: now
+    }),
+    image_url: storedImageUrl,
+    tags: await resolveTags(tags),
+    category: normalizeCategory(category) || DEFAULT_CATEGORY,
+    draft_state: buildDraftState(body),
+    updated_at: now
+  };
+
+  const { data: saved, error } = draft
+    ? await supabase
+        .from('superhero_articles')
+        .update(draftData)
+        .eq('id', draft.id)
+        .eq('status', 'draft')
+        .select('*')
+        .single()
+    : await supabase
+        .from('superhero_articles')
+        .insert({
+          ...draftData,
+          user_id: user.id,
+          status: 'draft',
+          // The URL is fixed when the draft is created so renaming the page keeps it
+          encrypted_id: encryptedId,
+          vercel_url: `${baseUrl}/${encryptedId}`,
+          views: 0,
+          quality_score: 100,
+          created_at: now
+        })
+        .select('*')
+        .single();
+
+  if (error) throw error;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Draft saved',
+    draft: formatDraft(saved)
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    const user = await requireAuth(req, res, { scope: 'upload' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const { draftId } = req.query;
+
+      if (draftId) {
+        const draft = await loadDraft(draftId, user.id);
+        if (!draft) {
+          return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          draft: formatDraft(draft, true)
+        });
+      }
+
+      const { data: drafts, error } = await supabase
+        .from('superhero_articles')
+        .select('id, title, page_name, image_url, draft_state, created_at, updated_at')
+        .eq('user_id', user.id)
+        .eq('status', 'draft')
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+
+      return res.status(200).json({
+        success: true,
+        drafts: drafts.map(draft => formatDraft(draft))
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, draftId } = req.body;
+
+    switch (action) {
+      case 'save':
+        return await saveDraft(user, req.body, res);
+
+      case 'delete': {
+        if (!draftId) {
+          return res.status(400).json({ error: 'Draft ID is required' });
+        }
+
+        const { data: deleted, error } = await supabase
+          .from('superhero_articles')
+          .delete()
+          .eq('id', draftId)
+          .eq('user_id', user.id)
+          .eq('status', 'draft')
+          .select('id');
+
+        if (error) throw error;
+
+        if (!deleted.length) {
+          return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Draft deleted'
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Drafts error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
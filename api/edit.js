@@ -0,0 +1,97 @@
+// api/edit.js - edit a published article, every save becomes a revision
+import { requireAuth } from '../lib/auth.js';
+import {
+  validateArticleChanges,
+  loadEditableArticle,
+  latestRevisionNumber,
+  saveArticleEdit,
+  articlePath
+} from '../lib/articles.js';
+import { validateBlocks, storeBlockImages } from '../lib/blocks.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireAuth(req, res, { scope: 'upload' });
+    if (!user) return;
+
+    const { articleId, title, pageName, content, imageUrl, tags, category, blocks, summary, baseRevision } = req.body;
+
+    const loaded = await loadEditableArticle(articleId, user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    // Optimistic concurrency: reject saves based on an outdated revision,
+    // before anything is uploaded for them
+    if (baseRevision !== undefined) {
+      const latest = await latestRevisionNumber(articleId);
+      if (latest > 0 && Number(baseRevision) !== latest) {
+        return res.status(409).json({
+          error: 'The article was changed since you started editing',
+          latestRevision: latest
+        });
+      }
+    }
+
+    // Blocks are checked before validateArticleChanges stores a new hero image,
+    // their own images are stored after it
+    const validatedBlocks = blocks !== undefined ? validateBlocks(blocks) : null;
+    if (validatedBlocks?.error) {
+      return res.status(400).json({ error: validatedBlocks.error });
+    }
+
+    const { error: validationError, updates } = await validateArticleChanges({
+      title,
+      pageName,
+      content,
+      imageUrl,
+      tags,
+      category
+    }, user.id, articleId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (validatedBlocks) {
+      const storedBlocks = await storeBlockImages(validatedBlocks.blocks, user.id);
+      if (storedBlocks.error) {
+        return res.status(400).json({ error: storedBlocks.error });
+      }
+      updates.contentBlocks = storedBlocks.blocks;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const { article, revision } = await saveArticleEdit(
+      loaded.article,
+      updates,
+      user.id,
+      typeof summary === 'string' ? summary.trim().substring(0, 200) : null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Article updated successfully!',
+      data: {
+        id: article.id,
+        title: article.title,
+        pageName: article.page_name,
+        articlePath: articlePath(article.page_name),
+        revision: revision.revision_number,
+        updated: article.updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Edit error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
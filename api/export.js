@@ -0,0 +1,47 @@
+// api/export.js - download all of the caller's articles as an NDJSON bundle
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import { articleToRecord } from '../lib/bundle.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireAuth(req, res, { scope: 'read' });
+    if (!user) return;
+
+    // ?images=false keeps image URLs instead of embedding the files, for
+    // smaller bundles between environments that share storage
+    const embedImages = req.query.images !== 'false';
+
+    const { data: articles, error } = await supabase
+      .from('superhero_articles')
+      .select('*')
+      .eq('user_id', user.id)
+      .neq('status', 'removed')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const lines = [];
+    for (const article of articles) {
+      lines.push(JSON.stringify(await articleToRecord(article, { embedImages })));
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="superarticles-${date}.ndjson"`);
+    res.status(200).send(lines.length ? `${lines.join('\n')}\n` : '');
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
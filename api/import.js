@@ -0,0 +1,220 @@
+// api/import.js - create articles from an export bundle, reporting each line
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import {
+  PAGE_NAME_REGEX,
+  isPageNameTaken,
+  prepareArticleImage,
+  loadEditableArticle,
+  saveArticleEdit
+} from '../lib/articles.js';
+import { validateSubmission, createArticle } from '../lib/publish.js';
+import { recordToSubmission } from '../lib/bundle.js';
+import { storeBlockImages } from '../lib/blocks.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const MAX_IMPORT_ITEMS = 25;
+const MAX_RENAME_ATTEMPTS = 20;
+
+// What to do when a bundle's page name is already in use:
+// skip the item, import it under a free name, or replace the caller's own article
+const STRATEGIES = ['skip', 'rename', 'overwrite'];
+
+// First free "<name>-2", "<name>-3", ... that still fits the page name limit
+async function findFreePageName(pageName) {
+  for (let n = 2; n <= MAX_RENAME_ATTEMPTS + 1; n++) {
+    const suffix = `-${n}`;
+    const candidate = pageName.slice(0, 50 - suffix.length).replace(/-+$/, '') + suffix;
+    if (!(await isPageNameTaken(candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Decide how an item with a taken page name is imported.
+// Returns { pageName }, { skip }, { overwrite: article } or { error }.
+async function resolveCollision(pageName, strategy, userId) {
+  if (!PAGE_NAME_REGEX.test(pageName || '') || !(await isPageNameTaken(pageName))) {
+    return { pageName };
+  }
+
+  if (strategy === 'skip') {
+    return { skip: 'Page name already exists' };
+  }
+
+  if (strategy === 'rename') {
+    const freeName = await findFreePageName(pageName);
+    return freeName ? { pageName: freeName } : { error: 'No free page name found' };
+  }
+
+  const { data: own } = await supabase
+    .from('superhero_articles')
+    .select('id, status, encrypted_id, vercel_url')
+    .eq('page_name', pageName)
+    .eq('user_id', userId)
+    .neq('status', 'removed')
+    .maybeSingle();
+
+  return own ? { overwrite: own } : { error: 'Page name belongs to another article' };
+}
+
+// Replace an existing article's content, keeping its URL and revision history
+async function overwriteArticle(target, submission, userId) {
+  // Drafts are published in place, the same way the upload wizard does it
+  if (target.status === 'draft') {
+    return createArticle(userId, submission, target);
+  }
+
+  const loaded = await loadEditableArticle(target.id, userId);
+  if (loaded.error) {
+    return loaded;
+  }
+
+  const image = await prepareArticleImage(userId, submission.imageUrl);
+  if (image.error) {
+    return { status: 400, error: image.error };
+  }
+
+  const storedBlocks = await storeBlockImages(submission.blocks, userId);
+  if (storedBlocks.error) {
+    return { status: 400, error: storedBlocks.error };
+  }
+
+  return saveArticleEdit(loaded.article, {
+    title: submission.title,
+    contentText: submission.content,
+    contentBlocks: storedBlocks.blocks,
+    image_url: image.imageUrl,
+    tags: submission.tags,
+    category: submission.category
+  }, userId, 'Imported from bundle');
+}
+
+async function importLine(line, strategy, userId) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    return { status: 'failed', error: 'Line is not valid JSON' };
+  }
+
+  const parsed = recordToSubmission(record);
+  if (parsed.error) {
+    return { status: 'failed', error: parsed.error };
+  }
+
+  const { input } = parsed;
+  const result = { pageName: input.pageName || null };
+
+  if (parsed.status === 'draft') {
+    return { ...result, status: 'skipped', error: 'Drafts are not imported' };
+  }
+
+  // Scheduled articles keep their embargo if it has not passed yet
+  const publishAt = parsed.status === 'scheduled' && new Date(parsed.publishAt) > new Date()
+    ? parsed.publishAt
+    : undefined;
+
+  const collision = await resolveCollision(input.pageName, strategy, userId);
+  if (collision.skip) {
+    return { ...result, status: 'skipped', error: collision.skip };
+  }
+  if (collision.error) {
+    return { ...result, status: 'failed', error: collision.error };
+  }
+
+  const pageName = collision.pageName || input.pageName;
+  const { error: validationError, submission } = await validateSubmission({ ...input, pageName, publishAt });
+  if (validationError) {
+    return { ...result, status: 'failed', error: validationError };
+  }
+
+  const written = collision.overwrite
+    ? await overwriteArticle(collision.overwrite, submission, userId)
+    : await createArticle(userId, submission);
+
+  if (written.error) {
+    return { ...result, status: 'failed', error: written.error };
+  }
+
+  const status = collision.overwrite ? 'overwritten' : pageName !== input.pageName ? 'renamed' : 'created';
+  return {
+    ...result,
+    status,
+    pageName: written.article.page_name,
+    ...(status === 'renamed' && { originalPageName: input.pageName }),
+    articleId: written.article.id,
+    encryptedId: written.article.encrypted_id
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireAuth(req, res, {
+      scope: 'upload',
+      columns: 'id, email, email_verified_at'
+    });
+    if (!user) return;
+
+    // Only confirmed addresses can publish
+    if (!user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Please confirm your email address before publishing. Check your inbox for the confirmation link.'
+      });
+    }
+
+    // The bundle comes as the raw NDJSON body or as { bundle, strategy }
+    const body = req.body || {};
+    const bundle = typeof body === 'string' ? body : body.bundle;
+    const strategy = (typeof body === 'string' ? req.query.strategy : body.strategy) || 'skip';
+
+    if (typeof bundle !== 'string' || !bundle.trim()) {
+      return res.status(400).json({ error: 'Bundle is required' });
+    }
+
+    if (!STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `Strategy must be one of ${STRATEGIES.join(', ')}` });
+    }
+
+    const lines = bundle.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({ error: `Import at most ${MAX_IMPORT_ITEMS} articles at a time` });
+    }
+
+    // Items are imported one by one so each result reflects the names taken before it
+    const results = [];
+    for (const [index, line] of lines.entries()) {
+      let result;
+      try {
+        result = await importLine(line, strategy, user.id);
+      } catch (error) {
+        console.error(`Import error on line ${index + 1}:`, error);
+        result = { status: 'failed', error: 'Internal server error' };
+      }
+      results.push({ line: index + 1, ...result });
+    }
+
+    const summary = { created: 0, renamed: 0, overwritten: 0, skipped: 0, failed: 0 };
+    results.forEach(result => summary[result.status]++);
+
+    res.status(200).json({
+      success: true,
+      strategy,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
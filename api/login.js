@@ -1,10 +1,29 @@
 import { createClient } from '@supabase/supabase-js';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
-import nodemailer from 'nodemailer';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { verifyTotp, decryptTotpSecret } from '../lib/totp.js';
+import { sendMail, publicBaseUrl } from '../lib/mail.js';
+import {
+  hitRateLimit,
+  sendRateLimited,
+  countRecentHits,
+  recordHit,
+  clearHits
+} from '../lib/rate-limit.js';
+import {
+  parseCookies,
+  signToken,
+  verifyToken,
+  getClientIp,
+  sessionCookies,
+  clearSessionCookies,
+  createSession,
+  revokeSession,
+  revokeAllSessions
+} from '../lib/auth.js';
 
 const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
 
@@ -24,60 +43,165 @@ const securityMiddleware = (req, res, next) => {
   next();
 };
 
-// Rate limiting for serverless
-const rateLimitStore = new Map();
+// Brute-force protection: failures are counted per email and per IP in the database
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const LOGIN_FREE_ATTEMPTS = 5; // failures allowed before backoff starts
+const LOGIN_BASE_DELAY_MS = 30 * 1000; // doubles with every further failure
+const LOGIN_MAX_DELAY_MS = 60 * 60 * 1000;
+const LOGIN_LOCKOUT_THRESHOLD = 10; // email failures that lock the account
+const LOGIN_LOCKOUT_MS = 30 * 60 * 1000;
 
-const limiter = (req, res, next) => {
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const max = 100; // 100 requests per window
-  const now = Date.now();
-  const windowStart = now - windowMs;
-  
-  if (!rateLimitStore.has(ip)) {
-    rateLimitStore.set(ip, []);
+function emailFailureKey(email) {
+  return `login-failure:email:${String(email || '').trim().toLowerCase()}`;
+}
+
+function loginFailureKeys(email, req) {
+  return [emailFailureKey(email), `login-failure:ip:${getClientIp(req)}`];
+}
+
+// Seconds until another attempt is allowed for this key, 0 if allowed now
+async function loginBackoffSeconds(key) {
+  const { count, latest } = await countRecentHits(key, LOGIN_FAILURE_WINDOW_MS);
+  if (count < LOGIN_FREE_ATTEMPTS || !latest) return 0;
+
+  const delay = Math.min(
+    LOGIN_BASE_DELAY_MS * 2 ** (count - LOGIN_FREE_ATTEMPTS),
+    LOGIN_MAX_DELAY_MS
+  );
+  const waitMs = latest.getTime() + delay - Date.now();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+}
+
+// Checked before any credential is compared
+async function checkLoginThrottle(email, req) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('locked_until, banned_at')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (user?.banned_at) {
+    return {
+      allowed: false,
+      banned: true,
+      message: 'This account has been suspended'
+    };
   }
-  
-  const requests = rateLimitStore.get(ip).filter(time => time > windowStart);
-  
-  if (requests.length >= max) {
-    res.status(429).json({ 
-      error: 'Too many requests, please try again later' 
-    });
-    return;
+
+  if (user?.locked_until && new Date(user.locked_until) > new Date()) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((new Date(user.locked_until) - Date.now()) / 1000),
+      message: 'Account temporarily locked after too many failed attempts'
+    };
   }
-  
-  requests.push(now);
-  rateLimitStore.set(ip, requests);
-  next();
-};
+
+  const waits = await Promise.all(loginFailureKeys(email, req).map(loginBackoffSeconds));
+  const retryAfter = Math.max(...waits);
+  if (retryAfter > 0) {
+    return {
+      allowed: false,
+      retryAfter,
+      message: 'Too many failed login attempts, please try again later'
+    };
+  }
+
+  return { allowed: true, retryAfter: 0 };
+}
+
+// Record a failed attempt, lock the account once the threshold is reached
+// and answer 401 with the wait before the next attempt
+async function rejectLogin(email, req, res, message) {
+  const keys = loginFailureKeys(email, req);
+  await Promise.all(keys.map(recordHit));
+
+  const { count } = await countRecentHits(keys[0], LOGIN_FAILURE_WINDOW_MS);
+  if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+    await lockAccount(email, req);
+  }
+
+  const retryAfter = Math.max(...await Promise.all(keys.map(loginBackoffSeconds)));
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+  }
+
+  return res.status(401).json({ error: message, retryAfter: retryAfter || undefined });
+}
+
+async function lockAccount(email, req) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MS);
+
+  // Only the request that starts a lockout updates the row and notifies the owner
+  const { data: locked } = await supabase
+    .from('users')
+    .update({ locked_until: lockedUntil.toISOString() })
+    .eq('email', email)
+    .or(`locked_until.is.null,locked_until.lt."${now.toISOString()}"`)
+    .select('email');
+
+  if (locked?.length) {
+    try {
+      await sendLockoutNotice(locked[0].email, getClientIp(req), lockedUntil);
+    } catch (error) {
+      console.error('Lockout email error:', error);
+    }
+  }
+}
+
+// A successful login resets the email counter; the IP counter keeps running
+async function clearLoginFailures(email) {
+  await clearHits(emailFailureKey(email));
+}
+
+const SECURITY_CODE_COUNT = 20;
+const SECURITY_CODE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SECURITY_CODE_HASH_ROUNDS = 10;
+const MAGIC_LINK_TTL_SECONDS = 15 * 60; // 15 minutes
+const EMAIL_VERIFICATION_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const NEW_CODES_LINK_TTL_SECONDS = 60 * 60; // 1 hour
+const CODE_REFRESH_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const LOW_CODES_WARNING_THRESHOLD = parseInt(process.env.LOW_CODES_WARNING_THRESHOLD || '5', 10);
+
 // Generate 20 security codes
 function generateSecurityCodes() {
   const codes = [];
-  for (let i = 0; i < 20; i++) {
+  for (let i = 0; i < SECURITY_CODE_COUNT; i++) {
     codes.push(crypto.randomBytes(4).toString('hex').toUpperCase());
   }
   return codes;
 }
 
-// Send email with security codes
-async function sendSecurityCodes(email, codes) {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
+// Salted bcrypt hashes of the codes, the plaintext only ever goes out by email
+function hashSecurityCodes(codes) {
+  return Promise.all(codes.map(code => bcrypt.hash(code, SECURITY_CODE_HASH_ROUNDS)));
+}
+
+// Index of the stored hash matching the submitted code, or -1
+async function findSecurityCode(storedCodes, securityCode) {
+  const candidate = String(securityCode || '').trim().toUpperCase();
+  if (!/^[0-9A-F]{8}$/.test(candidate)) return -1;
+
+  for (let i = 0; i < storedCodes.length; i++) {
+    if (storedCodes[i] && await bcrypt.compare(candidate, storedCodes[i])) {
+      return i;
     }
-  });
+  }
+  return -1;
+}
+
+// Codes expire 30 days after they were issued
+function securityCodesExpireAt(user) {
+  return new Date(new Date(user.last_code_refresh).getTime() + SECURITY_CODE_TTL_MS);
+}
 
+// Send email with security codes
+async function sendSecurityCodes(email, codes) {
   const codeList = codes.map((code, index) => 
     `${index + 1}. ${code}`
   ).join('\n');
 
   const mailOptions = {
-    from: process.env.SMTP_FROM,
     to: email,
     subject: 'Your SuperArticles Security Codes',
     text: `Here are your 20 security codes. Keep them safe!\n\n${codeList}\n\nEach code can be used once. Codes expire in 30 days.\n\nIf you forget your codes, you can request new ones in 7 days.`,
@@ -94,19 +218,75 @@ async function sendSecurityCodes(email, codes) {
     `
   };
 
-  return transporter.sendMail(mailOptions);
+  return sendMail(mailOptions);
 }
 
-// Generate JWT token
-function generateToken(userId) {
-  const payload = {
-    userId,
-    exp: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days
-  };
-  const token = crypto.createHmac('sha256', process.env.JWT_SECRET)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-  return token;
+// Send the link that confirms the registering person owns the address
+async function sendVerificationEmail(user) {
+  const token = signToken(
+    user.id,
+    { purpose: 'verify-email', email: user.email },
+    EMAIL_VERIFICATION_TTL_SECONDS
+  );
+  const link = `${publicBaseUrl()}/api/verify-email.js?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your SuperArticles email address',
+    text: `Confirm your email address to start publishing on SuperArticles:\n\n${link}\n\nThe link expires in 24 hours. If you did not create an account, you can ignore this email.`,
+    html: `
+      <h2>Confirm your email address</h2>
+      <p><a href="${link}">Click here to confirm</a> and start publishing on SuperArticles.</p>
+      <p>The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>
+    `
+  });
+}
+
+// Tell the owner their account was locked
+async function sendLockoutNotice(email, ip, lockedUntil) {
+  return sendMail({
+    to: email,
+    subject: 'SuperArticles account temporarily locked',
+    text: `We locked sign-in to your SuperArticles account after ${LOGIN_LOCKOUT_THRESHOLD} failed attempts. The most recent attempt came from IP ${ip}.\n\nYou can sign in again after ${lockedUntil.toUTCString()}.\n\nIf this was not you, consider requesting new security codes once the lock expires.`,
+    html: `
+      <h2>Account temporarily locked</h2>
+      <p>We locked sign-in to your SuperArticles account after ${LOGIN_LOCKOUT_THRESHOLD} failed attempts.
+         The most recent attempt came from IP <strong>${ip}</strong>.</p>
+      <p>You can sign in again after ${lockedUntil.toUTCString()}.</p>
+      <p>If this was not you, consider requesting new security codes once the lock expires.</p>
+    `
+  });
+}
+
+// Ask the owner to confirm a request for new codes before anything is rotated
+async function sendNewCodesConfirmation(email, link) {
+  return sendMail({
+    to: email,
+    subject: 'Confirm your new SuperArticles security codes',
+    text: `Someone asked for new security codes for your SuperArticles account. Confirming replaces your current codes and signs you out on every device:\n\n${link}\n\nThe link expires in ${NEW_CODES_LINK_TTL_SECONDS / 60} minutes. If you did not request it, you can ignore this email and your codes stay as they are.`,
+    html: `
+      <h2>Confirm new security codes</h2>
+      <p>Someone asked for new security codes for your SuperArticles account.
+         Confirming replaces your current codes and signs you out on every device.</p>
+      <p><a href="${link}">Click here to get new codes</a></p>
+      <p>The link expires in ${NEW_CODES_LINK_TTL_SECONDS / 60} minutes. If you did not request it, you can ignore this email and your codes stay as they are.</p>
+    `
+  });
+}
+
+// Send a one-time sign-in link
+async function sendMagicLink(email, link) {
+  return sendMail({
+    to: email,
+    subject: 'Your SuperArticles sign-in link',
+    text: `Click the link below to sign in to SuperArticles:\n\n${link}\n\nThe link works once and expires in ${MAGIC_LINK_TTL_SECONDS / 60} minutes. If you did not request it, you can ignore this email.`,
+    html: `
+      <h2>Sign in to SuperArticles</h2>
+      <p><a href="${link}">Click here to sign in</a></p>
+      <p>The link works once and expires in ${MAGIC_LINK_TTL_SECONDS / 60} minutes.</p>
+      <p>If you did not request it, you can ignore this email.</p>
+    `
+  });
 }
 
 // Main login/register endpoint
@@ -117,7 +297,7 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { email, action, securityCode } = req.body;
+  const { email, action, securityCode, totpCode, recoveryCode } = req.body;
 
   try {
     switch (action) {
@@ -125,12 +305,37 @@ export default async function handler(req, res) {
         await handleRegister(email, res);
         break;
       
-      case 'login':
-        await handleLogin(email, securityCode, res);
+      case 'login': {
+        const throttle = await checkLoginThrottle(email, req);
+        if (throttle.banned) {
+          return res.status(403).json({ error: throttle.message });
+        }
+        if (!throttle.allowed) {
+          return sendRateLimited(res, throttle.retryAfter, throttle.message);
+        }
+
+        if (totpCode || recoveryCode) {
+          await handleTotpLogin(email, totpCode, recoveryCode, req, res);
+        } else {
+          await handleLogin(email, securityCode, req, res);
+        }
+        break;
+      }
+      
+      case 'resend-verification':
+        await handleResendVerification(email, req, res);
+        break;
+      
+      case 'magic-link':
+        await handleMagicLink(email, req, res);
+        break;
+      
+      case 'logout':
+        await handleLogout(req, res);
         break;
       
       case 'request-new-codes':
-        await handleRequestNewCodes(email, res);
+        await handleRequestNewCodes(email, req, res);
         break;
       
       default:
@@ -156,31 +361,63 @@ async function handleRegister(email, res) {
 
   // Generate security codes
   const securityCodes = generateSecurityCodes();
+  const hashedCodes = await hashSecurityCodes(securityCodes);
   
   // Create user
   const { data: user, error } = await supabase
     .from('users')
     .insert({
       email,
-      security_codes: securityCodes,
+      security_codes: hashedCodes,
       last_code_refresh: new Date().toISOString(),
-      next_refresh_allowed: new Date().toISOString()
+      next_refresh_allowed: new Date().toISOString(),
+      email_verified_at: null
     })
     .select()
     .single();
 
   if (error) throw error;
 
-  // Send codes via email
+  // Send codes and the confirmation link via email
   await sendSecurityCodes(email, securityCodes);
+  await sendVerificationEmail(user);
 
   res.status(200).json({
-    message: 'Registration successful. Check your email for security codes.',
+    message: 'Registration successful. Check your email for security codes and confirm your address before publishing.',
     userId: user.id
   });
 }
 
-async function handleLogin(email, securityCode, res) {
+async function handleResendVerification(email, req, res) {
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const limit = await hitRateLimit(
+    `verify-email:email:${String(email).trim().toLowerCase()}`,
+    3,
+    60 * 60 * 1000
+  );
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit.retryAfter, 'Too many verification emails requested, please try again later');
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, email_verified_at')
+    .eq('email', email)
+    .single();
+
+  if (user && !user.email_verified_at) {
+    await sendVerificationEmail(user);
+  }
+
+  res.status(200).json({
+    message: 'If this address is awaiting confirmation, a new link has been sent.'
+  });
+}
+
+async function handleLogin(email, securityCode, req, res) {
   // Get user
   const { data: user, error } = await supabase
     .from('users')
@@ -189,13 +426,23 @@ async function handleLogin(email, securityCode, res) {
     .single();
 
   if (error || !user) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+    return rejectLogin(email, req, res, 'Invalid credentials');
   }
 
   // Check if code is valid
-  const codeIndex = user.security_codes.indexOf(securityCode);
+  const codeIndex = await findSecurityCode(user.security_codes || [], securityCode);
   if (codeIndex === -1) {
-    return res.status(401).json({ error: 'Invalid security code' });
+    return rejectLogin(email, req, res, 'Invalid security code');
+  }
+
+  // Codes stop working 30 days after they were issued. Only someone holding a
+  // valid code learns that, so the answer can't be used to probe accounts.
+  const codesExpireAt = securityCodesExpireAt(user);
+  if (new Date() >= codesExpireAt) {
+    return res.status(401).json({
+      error: 'Your security codes have expired. Please request new codes.',
+      codesExpired: true
+    });
   }
 
   // Remove used code
@@ -211,61 +458,241 @@ await supabase
     last_login: new Date().toISOString()  // Add this new field
   })
   .eq('id', user.id);
-  // Generate token
-  const token = generateToken(user.id);
+  await startSession(user, req, res);
 
-  // Set HTTP-only cookie
-  res.setHeader('Set-Cookie', [
-    `token=${token}; HttpOnly; Secure; SameSite=Strict; Max-Age=${30 * 24 * 60 * 60}; Path=/`,
-    `user_id=${user.id}; HttpOnly; Secure; SameSite=Strict; Max-Age=${30 * 24 * 60 * 60}; Path=/`
-  ]);
+  const codesRemaining = updatedCodes.filter(code => code !== null).length;
 
   res.status(200).json({
     message: 'Login successful',
-    codesRemaining: updatedCodes.filter(code => code !== null).length
+    codesRemaining,
+    codesExpireAt: codesExpireAt.toISOString(),
+    warning: codesRemaining < LOW_CODES_WARNING_THRESHOLD
+      ? `Only ${codesRemaining} security code(s) left. Request new codes before you run out.`
+      : undefined
   });
 }
 
-async function handleRequestNewCodes(email, res) {
+// Authenticator-app login for users who completed TOTP enrolment
+async function handleTotpLogin(email, totpCode, recoveryCode, req, res) {
   const { data: user, error } = await supabase
     .from('users')
     .select('*')
     .eq('email', email)
     .single();
 
-  if (error || !user) {
-    return res.status(404).json({ error: 'User not found' });
+  if (error || !user || !user.totp_secret) {
+    return rejectLogin(email, req, res, 'Invalid credentials');
   }
 
-  // Check if refresh is allowed
-  const now = new Date();
-  const nextRefresh = new Date(user.next_refresh_allowed);
+  const now = new Date().toISOString();
+
+  if (totpCode) {
+    const counter = verifyTotp(decryptTotpSecret(user.totp_secret), totpCode);
+
+    // Each time step can only be used once
+    if (counter === null || counter <= (user.totp_last_counter || 0)) {
+      return rejectLogin(email, req, res, 'Invalid authenticator code');
+    }
 
-  if (now < nextRefresh) {
-    const daysLeft = Math.ceil((nextRefresh - now) / (1000 * 60 * 60 * 24));
-    return res.status(429).json({
-      error: `Please wait ${daysLeft} day(s) before requesting new codes`
+    await supabase
+      .from('users')
+      .update({
+        totp_last_counter: counter,
+        updated_at: now,
+        last_login: now
+      })
+      .eq('id', user.id);
+
+    await startSession(user, req, res);
+
+    return res.status(200).json({
+      message: 'Login successful'
     });
   }
 
-  // Generate new codes
-  const newCodes = generateSecurityCodes();
+  // Recovery codes are single-use fallbacks for a lost authenticator device
+  const codeIndex = await findSecurityCode(user.totp_recovery_codes || [], recoveryCode);
+  if (codeIndex === -1) {
+    return rejectLogin(email, req, res, 'Invalid recovery code');
+  }
+
+  const updatedRecoveryCodes = [...user.totp_recovery_codes];
+  updatedRecoveryCodes[codeIndex] = null;
 
-  // Update user with new codes
   await supabase
     .from('users')
     .update({
-      security_codes: newCodes,
-      last_code_refresh: now.toISOString(),
-      next_refresh_allowed: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-      updated_at: now.toISOString()
+      totp_recovery_codes: updatedRecoveryCodes,
+      updated_at: now,
+      last_login: now
     })
     .eq('id', user.id);
 
-  // Send new codes
-  await sendSecurityCodes(email, newCodes);
+  await startSession(user, req, res);
+
+  const recoveryCodesRemaining = updatedRecoveryCodes.filter(code => code !== null).length;
 
   res.status(200).json({
-    message: 'New security codes sent to your email. Next refresh allowed in 7 days.'
+    message: 'Login successful',
+    recoveryCodesRemaining,
+    warning: recoveryCodesRemaining < LOW_CODES_WARNING_THRESHOLD
+      ? `Only ${recoveryCodesRemaining} recovery code(s) left. Generate new ones from your authenticator settings.`
+      : undefined
   });
 }
+
+// Start a server-side session and set its signed token as HTTP-only cookies
+async function startSession(user, req, res) {
+  await clearLoginFailures(user.email);
+  const token = await createSession(user.id, req);
+  res.setHeader('Set-Cookie', sessionCookies(token, user.id));
+}
+
+async function handleMagicLink(email, req, res) {
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // Separate budgets per address and per client stop both inbox flooding and address scanning
+  const normalizedEmail = String(email).trim().toLowerCase();
+  for (const [key, max, windowMs] of [
+    [`magic-link:email:${normalizedEmail}`, 3, 15 * 60 * 1000],
+    [`magic-link:ip:${getClientIp(req)}`, 10, 60 * 60 * 1000]
+  ]) {
+    const limit = await hitRateLimit(key, max, windowMs);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfter, 'Too many sign-in link requests, please try again later');
+    }
+  }
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    message: 'If an account exists for this email, a sign-in link has been sent.'
+  };
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email')
+    .eq('email', email)
+    .single();
+
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const now = new Date();
+  const { data: magicLink, error } = await supabase
+    .from('magic_links')
+    .insert({
+      user_id: user.id,
+      requested_ip: getClientIp(req),
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + MAGIC_LINK_TTL_SECONDS * 1000).toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  // The signed token carries the link id, the row makes it single-use
+  const token = signToken(user.id, { purpose: 'magic-link', jti: magicLink.id }, MAGIC_LINK_TTL_SECONDS);
+  const link = `${publicBaseUrl()}/api/magic-link.js?token=${encodeURIComponent(token)}`;
+
+  await sendMagicLink(user.email, link);
+
+  res.status(200).json(genericResponse);
+}
+
+async function handleLogout(req, res) {
+  // Invalidate the session server-side if the token is still valid
+  const cookies = parseCookies(req.headers.cookie);
+  const claims = verifyToken(cookies.token);
+  if (claims && claims.sid) {
+    await revokeSession(claims.sub, claims.sid);
+  }
+
+  // Always clear the cookies, even for an expired or unknown token
+  res.setHeader('Set-Cookie', clearSessionCookies());
+
+  res.status(200).json({
+    message: 'Logged out successfully'
+  });
+}
+
+// Anyone can ask, but codes only rotate once the owner follows the emailed link
+async function handleRequestNewCodes(email, req, res) {
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  for (const [key, max, windowMs] of [
+    [`new-codes:email:${normalizedEmail}`, 3, 60 * 60 * 1000],
+    [`new-codes:ip:${getClientIp(req)}`, 10, 60 * 60 * 1000]
+  ]) {
+    const limit = await hitRateLimit(key, max, windowMs);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfter, 'Too many code requests, please try again later');
+    }
+  }
+
+  // Same response whether or not the account exists or may refresh yet
+  const genericResponse = {
+    message: 'If this account can get new codes, a confirmation link has been sent to its email. New codes can be requested once every 7 days.'
+  };
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, last_code_refresh, next_refresh_allowed')
+    .eq('email', email)
+    .single();
+
+  if (!user || new Date() < new Date(user.next_refresh_allowed)) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Bound to the current refresh time, so the link stops working once it is used
+  const token = signToken(
+    user.id,
+    { purpose: 'new-codes', ref: user.last_code_refresh || null },
+    NEW_CODES_LINK_TTL_SECONDS
+  );
+  const link = `${publicBaseUrl()}/api/new-codes.js?token=${encodeURIComponent(token)}`;
+
+  await sendNewCodesConfirmation(user.email, link);
+
+  res.status(200).json(genericResponse);
+}
+
+// Replace a user's codes, sign them out everywhere and mail the new codes.
+// user needs id, email and last_code_refresh. Returns false when the codes
+// were already rotated since last_code_refresh was read.
+export async function rotateSecurityCodes(user) {
+  const now = new Date();
+  const newCodes = generateSecurityCodes();
+  const hashedCodes = await hashSecurityCodes(newCodes);
+
+  let query = supabase
+    .from('users')
+    .update({
+      security_codes: hashedCodes,
+      last_code_refresh: now.toISOString(),
+      next_refresh_allowed: new Date(now.getTime() + CODE_REFRESH_INTERVAL_MS).toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('id', user.id);
+
+  query = user.last_code_refresh
+    ? query.eq('last_code_refresh', user.last_code_refresh)
+    : query.is('last_code_refresh', null);
+
+  const { data: rotated, error } = await query.select('id');
+  if (error) throw error;
+  if (!rotated.length) return false;
+
+  // Rotating the codes signs the account out everywhere
+  await revokeAllSessions(user.id);
+
+  await sendSecurityCodes(user.email, newCodes);
+  return true;
+}
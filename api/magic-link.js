@@ -0,0 +1,130 @@
+// api/magic-link.js - confirms and consumes emailed sign-in links
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { verifyToken, getClientIp, createSession, sessionCookies } from '../lib/auth.js';
+import { hitRateLimit } from '../lib/rate-limit.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Links are opened in the browser, so outcomes are redirects back to the homepage
+function redirect(res, outcome) {
+  res.setHeader('Location', `/?magicLink=${outcome}`);
+  return res.status(302).end();
+}
+
+// Mail scanners and link previews open every link they see, so opening one
+// only shows a button; the link is spent by the POST the button sends
+function renderConfirmPage(res, token) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  // A verified token is our own base64url output, safe inside the attribute
+  return res.status(200).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Sign in to SuperArticles</title>
+</head>
+<body style="font-family: system-ui, sans-serif; max-width: 28rem; margin: 4rem auto; padding: 0 1rem; text-align: center;">
+  <h1>Sign in to SuperArticles</h1>
+  <p>Continue to sign in on this device. The link works once.</p>
+  <form method="post" action="/api/magic-link.js">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit" style="font-size: 1rem; padding: 0.75rem 1.5rem; cursor: pointer;">Sign in</button>
+  </form>
+</body>
+</html>`);
+}
+
+// Only the confirm page may spend a link, so another site can't sign a visitor
+// into someone else's account by posting that account's link for them
+function fromOwnPage(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    const claims = verifyToken(req.query.token);
+    if (!claims || claims.purpose !== 'magic-link' || !claims.jti) {
+      return redirect(res, 'invalid');
+    }
+    return renderConfirmPage(res, req.query.token);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!fromOwnPage(req)) {
+      return redirect(res, 'invalid');
+    }
+
+    const limit = await hitRateLimit(`magic-link-verify:ip:${getClientIp(req)}`, 20, 60 * 60 * 1000);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfter));
+      return redirect(res, 'rate-limited');
+    }
+
+    const claims = verifyToken(req.body?.token);
+    if (!claims || claims.purpose !== 'magic-link' || !claims.jti) {
+      return redirect(res, 'invalid');
+    }
+
+    // Mark the link consumed; only the first request gets the row back
+    const { data: consumed, error } = await supabase
+      .from('magic_links')
+      .update({
+        consumed_at: new Date().toISOString(),
+        consumed_ip: getClientIp(req)
+      })
+      .eq('id', claims.jti)
+      .eq('user_id', claims.sub)
+      .is('consumed_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) throw error;
+
+    if (!consumed.length) {
+      return redirect(res, 'invalid');
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, banned_at')
+      .eq('id', claims.sub)
+      .single();
+
+    if (!user || user.banned_at) {
+      return redirect(res, 'invalid');
+    }
+
+    const now = new Date().toISOString();
+    await supabase
+      .from('users')
+      .update({
+        updated_at: now,
+        last_login: now
+      })
+      .eq('id', claims.sub);
+
+    const token = await createSession(claims.sub, req);
+    res.setHeader('Set-Cookie', sessionCookies(token, claims.sub));
+
+    return redirect(res, 'success');
+  } catch (error) {
+    console.error('Magic link error:', error);
+    return redirect(res, 'error');
+  }
+}
@@ -0,0 +1,55 @@
+// api/new-codes.js - confirms an emailed request for new security codes
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { verifyToken, getClientIp, clearSessionCookies } from '../lib/auth.js';
+import { hitRateLimit } from '../lib/rate-limit.js';
+import { rotateSecurityCodes } from './login.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Links are opened in the browser, so outcomes are redirects back to the homepage
+function redirect(res, outcome) {
+  res.setHeader('Location', `/?newCodes=${outcome}`);
+  return res.status(302).end();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const limit = await hitRateLimit(`new-codes-confirm:ip:${getClientIp(req)}`, 20, 60 * 60 * 1000);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfter));
+      return redirect(res, 'rate-limited');
+    }
+
+    const claims = verifyToken(req.query.token);
+    if (!claims || claims.purpose !== 'new-codes') {
+      return redirect(res, 'invalid');
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, last_code_refresh, next_refresh_allowed')
+      .eq('id', claims.sub)
+      .single();
+
+    // A link only works until the codes it was sent for are replaced
+    if (!user || (user.last_code_refresh || null) !== claims.ref || new Date() < new Date(user.next_refresh_allowed)) {
+      return redirect(res, 'invalid');
+    }
+
+    if (!await rotateSecurityCodes(user)) {
+      return redirect(res, 'invalid');
+    }
+
+    // Every session was just revoked, including any in this browser
+    res.setHeader('Set-Cookie', clearSessionCookies());
+    return redirect(res, 'success');
+  } catch (error) {
+    console.error('New codes confirmation error:', error);
+    return redirect(res, 'error');
+  }
+}
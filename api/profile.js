@@ -0,0 +1,188 @@
+// api/profile.js - public profiles: username, avatar and bio
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { authenticateRequest } from '../lib/auth.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from '../lib/profile.js';
+import { storeImage } from '../lib/images.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const USERNAME_REGEX = /^[a-z0-9_]{3,30}$/;
+const RESERVED_USERNAMES = ['admin', 'administrator', 'moderator', 'api', 'support', 'superarticles', 'anonymous', 'you'];
+const BIO_MAX_LENGTH = 500;
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024; // 2MB
+const AVATAR_BUCKET = 'avatars';
+const AVATAR_SIZES = { avatar: { width: 256, height: 256, fit: 'cover' } };
+
+// Validate and claim a username, returns an error message or null
+async function validateUsername(username, userId) {
+  if (!USERNAME_REGEX.test(username)) {
+    return 'Username must be 3-30 lowercase letters, numbers, and underscores only';
+  }
+
+  if (RESERVED_USERNAMES.includes(username)) {
+    return 'This username is reserved';
+  }
+
+  const { data: existing } = await supabase
+    .from('users')
+    .select('id')
+    .eq('username', username)
+    .neq('id', userId)
+    .maybeSingle();
+
+  return existing ? 'Username is already taken' : null;
+}
+
+// Store an uploaded avatar and return its public URL
+async function uploadAvatar(userId, dataUrl) {
+  const stored = await storeImage(dataUrl, {
+    bucket: AVATAR_BUCKET,
+    owner: userId,
+    sizes: AVATAR_SIZES,
+    maxBytes: AVATAR_MAX_BYTES,
+    label: 'Avatar'
+  });
+
+  return stored.error ? stored : { url: stored.urls.avatar };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { username } = req.query;
+
+      // Public profile by username
+      if (username) {
+        const { data: profileUser } = await supabase
+          .from('users')
+          .select(PUBLIC_PROFILE_COLUMNS)
+          .eq('username', String(username).toLowerCase())
+          .maybeSingle();
+
+        if (!profileUser) {
+          return res.status(404).json({ success: false, error: 'Profile not found' });
+        }
+
+        const { data: articles } = await supabase
+          .from('superhero_articles')
+          .select('title, page_name, encrypted_id, vercel_url, created_at')
+          .eq('user_id', profileUser.id)
+          .eq('status', 'active')
+          .order('created_at', { ascending: false })
+          .limit(20);
+
+        return res.status(200).json({
+          success: true,
+          profile: publicProfile(profileUser),
+          articles: (articles || []).map(article => ({
+            title: article.title,
+            pageName: article.page_name,
+            encryptedId: article.encrypted_id,
+            vercelUrl: article.vercel_url,
+            created: article.created_at
+          }))
+        });
+      }
+
+      // Own profile, including private fields
+      const user = await authenticateRequest(req, `${PUBLIC_PROFILE_COLUMNS}, email, email_verified_at`);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        profile: {
+          ...publicProfile(user),
+          email: user.email,
+          emailVerified: !!user.email_verified_at,
+          hasUsername: !!user.username
+        }
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = await authenticateRequest(req, PUBLIC_PROFILE_COLUMNS);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { action, username, bio, avatar } = req.body;
+    const updateData = {};
+
+    switch (action) {
+      case 'update': {
+        if (username !== undefined) {
+          const normalized = String(username).trim().toLowerCase();
+          const usernameError = await validateUsername(normalized, user.id);
+          if (usernameError) {
+            return res.status(400).json({ error: usernameError });
+          }
+          updateData.username = normalized;
+        }
+
+        if (bio !== undefined) {
+          const cleanBio = String(bio).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '').trim();
+          if (cleanBio.length > BIO_MAX_LENGTH) {
+            return res.status(400).json({ error: `Bio must be ${BIO_MAX_LENGTH} characters or fewer` });
+          }
+          updateData.bio = cleanBio;
+        }
+        break;
+      }
+
+      case 'avatar': {
+        const upload = await uploadAvatar(user.id, avatar);
+        if (upload.error) {
+          return res.status(400).json({ error: upload.error });
+        }
+        updateData.avatar_url = upload.url;
+        break;
+      }
+
+      case 'remove-avatar':
+        updateData.avatar_url = null;
+        break;
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    updateData.updated_at = new Date().toISOString();
+
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update(updateData)
+      .eq('id', user.id)
+      .select(PUBLIC_PROFILE_COLUMNS)
+      .single();
+
+    if (updateError) {
+      // Unique index catches a username claimed between the check and the update
+      if (updateError.code === '23505') {
+        return res.status(400).json({ error: 'Username is already taken' });
+      }
+      throw updateError;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated',
+      profile: publicProfile(updated)
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,9 +1,12 @@
 // api/renew.js
 import { createClient } from '@supabase/supabase-js';
-import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import { saveArticleEdit } from '../lib/articles.js';
+import { getCategory } from '../lib/taxonomy.js';
+import { articleRole, canEdit } from '../lib/collaborators.js';
 
 const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.key);
 
@@ -27,41 +30,6 @@ const securityMiddleware = (app) => {
   app.use('/api/renew', limiter);
 };
 
-// Parse cookies
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (cookieHeader) {
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      cookies[name] = decodeURIComponent(value);
-    });
-  }
-  return cookies;
-}
-
-// Verify user token
-async function verifyUserToken(token, userId) {
-  try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email')
-      .eq('id', userId)
-      .single();
-    
-    if (error || !user) return null;
-    
-    const expectedToken = crypto
-      .createHmac('sha256', process.env.JWT_SECRET)
-      .update(JSON.stringify({ userId: user.id }))
-      .digest('hex');
-    
-    return token === expectedToken ? user : null;
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return null;
-  }
-}
-
 // Generate AI-powered renewal suggestions
 function generateRenewalSuggestions(articleData) {
   const suggestions = [];
@@ -84,6 +52,11 @@ function generateRenewalSuggestions(articleData) {
     suggestions.push("Expand article with more detailed backstory");
   }
   
+  const { renewalHint } = getCategory(articleData.category);
+  if (renewalHint) {
+    suggestions.push(renewalHint);
+  }
+  
   if (articleData.tags.length < 3) {
     suggestions.push("Add more relevant tags for better discovery");
   }
@@ -119,18 +92,8 @@ export default async function handler(req, res) {
 
   try {
     // Authenticate user
-    const cookies = parseCookies(req.headers.cookie);
-    const token = cookies.token;
-    const userId = cookies.user_id;
-    
-    if (!token || !userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const user = await verifyUserToken(token, userId);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid authentication' });
-    }
+    const user = await requireAuth(req, res, { scope: 'renew' });
+    if (!user) return;
 
     const { articleId, updatedContent, renewAll = false } = req.body;
     
@@ -179,15 +142,14 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Article ID is required' });
       }
       
-      // Get article data
+      // Get article data, the owner and editors may renew
       const { data: article, error: articleError } = await supabase
         .from('superhero_articles')
         .select('*')
         .eq('id', articleId)
-        .eq('user_id', user.id)
-        .single();
+        .maybeSingle();
       
-      if (articleError || !article) {
+      if (articleError || !article || !canEdit(await articleRole(article, user.id))) {
         return res.status(404).json({ error: 'Article not found or unauthorized' });
       }
       
@@ -195,6 +157,14 @@ export default async function handler(req, res) {
       if (article.status === 'removed') {
         return res.status(400).json({ error: 'Cannot renew removed article' });
       }
+
+      if (article.status === 'draft') {
+        return res.status(400).json({ error: 'Drafts must be published before they can be renewed' });
+      }
+
+      if (article.status === 'scheduled') {
+        return res.status(400).json({ error: 'Scheduled articles start their renewal period when they are published' });
+      }
       
       const now = new Date();
       const renewalDate = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
@@ -210,17 +180,6 @@ export default async function handler(req, res) {
         updated_at: now.toISOString()
       };
       
-      // If updated content provided, merge with existing content
-      if (updatedContent) {
-        const currentContent = JSON.parse(article.content);
-        updateData.content = JSON.stringify({
-          ...currentContent,
-          text: updatedContent,
-          lastUpdated: now.toISOString(),
-          updateCount: (currentContent.updateCount || 0) + 1
-        });
-      }
-      
       // Update article
       const { error: updateError } = await supabase
         .from('superhero_articles')
@@ -232,6 +191,11 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: 'Failed to renew article' });
       }
       
+      // Updated content goes through the regular edit path so it gets a revision
+      if (updatedContent) {
+        await saveArticleEdit(article, { contentText: updatedContent }, user.id, 'Updated during renewal');
+      }
+      
       // Generate new suggestions for next renewal
       const suggestions = generateRenewalSuggestions(article);
       
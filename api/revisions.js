@@ -0,0 +1,175 @@
+// api/revisions.js - list, compare and roll back article revisions
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import { loadEditableArticle, saveArticleEdit, prepareArticleImage } from '../lib/articles.js';
+import { diffLines } from '../lib/diff.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+async function getRevision(articleId, revisionNumber) {
+  const { data: revision } = await supabase
+    .from('article_revisions')
+    .select('*, editor:users!article_revisions_editor_id_fkey (id, username)')
+    .eq('article_id', articleId)
+    .eq('revision_number', parseInt(revisionNumber, 10))
+    .maybeSingle();
+
+  return revision;
+}
+
+function formatRevision(revision, includeFields = false) {
+  const formatted = {
+    revision: revision.revision_number,
+    summary: revision.summary,
+    editor: {
+      id: revision.editor?.id || revision.editor_id,
+      username: revision.editor?.username || 'Anonymous'
+    },
+    created: revision.created_at
+  };
+
+  if (includeFields) {
+    formatted.title = revision.title;
+    formatted.content = revision.content;
+    formatted.blocks = revision.blocks || [];
+    formatted.imageUrl = revision.image_url;
+    formatted.tags = revision.tags || [];
+    formatted.category = revision.category;
+  }
+
+  return formatted;
+}
+
+// Field-by-field comparison of two revisions
+function compareRevisions(from, to) {
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+
+  return {
+    title: from.title === to.title ? null : { from: from.title, to: to.title },
+    category: from.category === to.category ? null : { from: from.category, to: to.category },
+    imageUrl: from.image_url === to.image_url ? null : { from: from.image_url, to: to.image_url },
+    tags: {
+      added: toTags.filter(tag => !fromTags.includes(tag)),
+      removed: fromTags.filter(tag => !toTags.includes(tag))
+    },
+    blocksChanged: JSON.stringify(from.blocks || []) !== JSON.stringify(to.blocks || []),
+    content: diffLines(from.content, to.content)
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    const isRead = req.method === 'GET';
+    if (!isRead && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = await requireAuth(req, res, { scope: isRead ? 'read' : 'upload' });
+    if (!user) return;
+
+    const articleId = isRead ? req.query.articleId : req.body.articleId;
+    const loaded = await loadEditableArticle(articleId, user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    if (isRead) {
+      const { revision, from, to } = req.query;
+
+      // Diff between two revisions
+      if (from && to) {
+        const [fromRevision, toRevision] = await Promise.all([
+          getRevision(articleId, from),
+          getRevision(articleId, to)
+        ]);
+
+        if (!fromRevision || !toRevision) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          from: formatRevision(fromRevision),
+          to: formatRevision(toRevision),
+          changes: compareRevisions(fromRevision, toRevision)
+        });
+      }
+
+      // Single revision with its full content
+      if (revision) {
+        const found = await getRevision(articleId, revision);
+        if (!found) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          revision: formatRevision(found, true)
+        });
+      }
+
+      // Revision list, newest first
+      const { data: revisions, error } = await supabase
+        .from('article_revisions')
+        .select('revision_number, summary, editor_id, created_at, editor:users!article_revisions_editor_id_fkey (id, username)')
+        .eq('article_id', articleId)
+        .order('revision_number', { ascending: false });
+
+      if (error) throw error;
+
+      return res.status(200).json({
+        success: true,
+        revisions: revisions.map(item => formatRevision(item))
+      });
+    }
+
+    const { action, revision } = req.body;
+    if (action !== 'rollback') {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const target = await getRevision(articleId, revision);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Revisions from before managed storage may still hold inline image data
+    const image = await prepareArticleImage(user.id, target.image_url);
+    if (image.error) {
+      return res.status(400).json({ error: image.error });
+    }
+
+    // A rollback is a new revision with the old values, history is never rewritten
+    const { article, revision: saved } = await saveArticleEdit(
+      loaded.article,
+      {
+        title: target.title,
+        contentText: target.content,
+        contentBlocks: target.blocks || [],
+        image_url: image.imageUrl,
+        tags: target.tags || [],
+        category: target.category
+      },
+      user.id,
+      `Rolled back to revision ${target.revision_number}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Article rolled back to revision ${target.revision_number}`,
+      data: {
+        id: article.id,
+        title: article.title,
+        revision: saved.revision_number
+      }
+    });
+  } catch (error) {
+    console.error('Revisions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
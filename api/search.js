@@ -0,0 +1,137 @@
+// api/search.js - full-text search over live articles with filters, facets and cursor paging
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { normalizeCategory, resolveTags, CATEGORIES } from '../lib/taxonomy.js';
+import { SEARCH_SORTS, MAX_QUERY_LENGTH, searchArticles, searchFacets } from '../lib/search.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// A bare date in `to` includes that whole day
+function parseDate(value, endOfDay = false) {
+  if (value === undefined || value === '') return { date: null };
+
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    return { error: 'Dates must be ISO 8601, e.g. 2026-01-31' };
+  }
+  if (endOfDay && DATE_ONLY_REGEX.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return { date };
+}
+
+// Turn query parameters into search filters, returns { filters } or { error }.
+// filters.noMatch is set when a filter names something that does not exist.
+async function parseFilters(query) {
+  const filters = {};
+
+  if (query.category) {
+    filters.category = normalizeCategory(query.category);
+    if (!filters.category) {
+      return { error: `Category must be one of ${CATEGORIES.map(c => c.slug).join(', ')}` };
+    }
+  }
+
+  if (query.tag) {
+    // Aliases search under their canonical tag
+    [filters.tag] = await resolveTags([query.tag]);
+    if (!filters.tag) {
+      return { error: 'Invalid tag' };
+    }
+  }
+
+  if (query.author) {
+    const { data: author } = await supabase
+      .from('users')
+      .select('id')
+      .eq('username', String(query.author).toLowerCase())
+      .maybeSingle();
+
+    if (author) {
+      filters.authorId = author.id;
+    } else {
+      filters.noMatch = true;
+    }
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to, true);
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  filters.from = from.date;
+  filters.to = to.date;
+
+  // Drafts, scheduled, outdated and removed articles are never searchable
+  if (query.status && query.status !== 'active') {
+    return { error: 'Only active articles can be searched' };
+  }
+
+  return { filters };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search queries can be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    // Without a query there is nothing to rank, so results default to newest first
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+
+    const { filters, error } = await parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Facets are only computed for the first page unless asked for
+    const cursor = req.query.cursor || null;
+    const wantFacets = req.query.facets === undefined ? !cursor : req.query.facets !== 'false';
+
+    if (filters.noMatch) {
+      return res.status(200).json({
+        success: true,
+        query: q,
+        sort,
+        results: [],
+        nextCursor: null,
+        ...(wantFacets && { facets: { total: 0, categories: [], tags: [], authors: [] } })
+      });
+    }
+
+    const [page, facets] = await Promise.all([
+      searchArticles(q, filters, { sort, cursor, limit: req.query.limit }),
+      wantFacets ? searchFacets(q, filters) : null
+    ]);
+
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
+    return res.status(200).json({
+      success: true,
+      query: q,
+      sort,
+      results: page.results,
+      nextCursor: page.nextCursor,
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,131 @@
+// api/sessions.js
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import {
+  authenticateSession,
+  clearSessionCookies,
+  revokeSession,
+  revokeAllSessions
+} from '../lib/auth.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Short human-readable device label from a user agent string
+function describeDevice(userAgent = '') {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    null;
+
+  const os =
+    /Windows/.test(userAgent) ? 'Windows' :
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+}
+
+// List the user's active sessions
+async function listSessions(userId, currentSessionId) {
+  const { data: sessions, error } = await supabase
+    .from('user_sessions')
+    .select('id, user_agent, ip_address, created_at, last_seen_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+
+  return sessions.map(session => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    userAgent: session.user_agent,
+    ip: session.ip_address,
+    created: session.created_at,
+    lastSeen: session.last_seen_at,
+    expires: session.expires_at,
+    current: session.id === currentSessionId
+  }));
+}
+
+export default async function handler(req, res) {
+  try {
+    const auth = await authenticateSession(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { user, session } = auth;
+
+    if (req.method === 'GET') {
+      const sessions = await listSessions(user.id, session.id);
+      return res.status(200).json({
+        success: true,
+        sessions
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, sessionId, includeCurrent = false } = req.body;
+
+    switch (action) {
+      case 'revoke': {
+        if (!sessionId) {
+          return res.status(400).json({ error: 'Session ID is required' });
+        }
+
+        const revoked = await revokeSession(user.id, sessionId);
+        if (!revoked) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // Revoking the session in use is the same as logging out
+        if (sessionId === session.id) {
+          res.setHeader('Set-Cookie', clearSessionCookies());
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Session revoked'
+        });
+      }
+
+      case 'revoke-all': {
+        const revokedCount = await revokeAllSessions(
+          user.id,
+          includeCurrent ? null : session.id
+        );
+
+        if (includeCurrent) {
+          res.setHeader('Set-Cookie', clearSessionCookies());
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: `Revoked ${revokedCount} session(s)`,
+          revokedCount
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,54 @@
+// api/stats.js - platform totals for the homepage, served from the platform_stats row
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// The cleanup job refreshes the totals; requests only recompute them once stale
+const STATS_MAX_AGE_MS = 60 * 60 * 1000; // 1 hour
+
+export async function refreshPlatformStats() {
+  const { data, error } = await supabase.rpc('refresh_platform_stats');
+  if (error) throw error;
+  return data;
+}
+
+async function currentStats() {
+  const { data: stats, error } = await supabase
+    .from('platform_stats')
+    .select('articles, users, creators, total_views, computed_at')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!stats || Date.now() - new Date(stats.computed_at).getTime() > STATS_MAX_AGE_MS) {
+    return refreshPlatformStats();
+  }
+  return stats;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const stats = await currentStats();
+
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json({
+      success: true,
+      articles: stats.articles,
+      users: stats.users,
+      creators: stats.creators,
+      views: Number(stats.total_views),
+      updatedAt: stats.computed_at
+    });
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,40 @@
+// api/taxonomy.js - browse categories and tags with article counts, suggest tags
+import { categoryCounts, tagCounts, suggestTags } from '../lib/taxonomy.js';
+
+const MAX_PAGE_SIZE = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { resource, q } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    switch (resource) {
+      case 'categories':
+        return res.status(200).json({ success: true, categories: await categoryCounts() });
+
+      case 'tags':
+        return res.status(200).json({ success: true, ...await tagCounts({ q, limit, offset }) });
+
+      case 'suggest': {
+        // exclude: comma separated tags the author already picked
+        const exclude = typeof req.query.exclude === 'string' ? req.query.exclude.split(',') : [];
+        const suggestions = await suggestTags(q, { exclude, limit: Math.min(limit, 20) });
+        return res.status(200).json({ success: true, suggestions });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid resource' });
+    }
+  } catch (error) {
+    console.error('Taxonomy error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
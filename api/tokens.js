@@ -0,0 +1,160 @@
+// api/tokens.js - personal access tokens for scripted publishing
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { authenticateRequest, generateApiToken, API_TOKEN_SCOPES } from '../lib/auth.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const MAX_TOKENS_PER_USER = 20;
+const DEFAULT_RATE_LIMIT_PER_HOUR = 100;
+const MAX_RATE_LIMIT_PER_HOUR = 1000;
+const MAX_EXPIRY_DAYS = 365;
+
+function formatToken(apiToken) {
+  return {
+    id: apiToken.id,
+    name: apiToken.name,
+    prefix: apiToken.token_prefix,
+    scopes: apiToken.scopes,
+    rateLimitPerHour: apiToken.rate_limit_per_hour,
+    created: apiToken.created_at,
+    lastUsed: apiToken.last_used_at,
+    expires: apiToken.expires_at
+  };
+}
+
+async function createToken(userId, body, res) {
+  const { name, scopes, rateLimitPerHour, expiresInDays } = body;
+
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    return res.status(400).json({ error: 'Token name is required (max 100 characters)' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 ||
+      !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `Scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}` });
+  }
+
+  const rateLimit = rateLimitPerHour === undefined ? DEFAULT_RATE_LIMIT_PER_HOUR : parseInt(rateLimitPerHour, 10);
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT_PER_HOUR) {
+    return res.status(400).json({ error: `Rate limit must be between 1 and ${MAX_RATE_LIMIT_PER_HOUR} requests per hour` });
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const { count } = await supabase
+    .from('api_tokens')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (count >= MAX_TOKENS_PER_USER) {
+    return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+  }
+
+  const generated = generateApiToken();
+
+  const { data: apiToken, error } = await supabase
+    .from('api_tokens')
+    .insert({
+      user_id: userId,
+      name: trimmedName,
+      token_hash: generated.hash,
+      token_prefix: generated.prefix,
+      scopes: [...new Set(scopes)],
+      rate_limit_per_hour: rateLimit,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Token created. Copy it now, it will not be shown again.',
+    token: generated.token,
+    apiToken: formatToken(apiToken)
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    // Managing tokens needs a browser session, a token cannot mint more tokens
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const { data: tokens, error } = await supabase
+        .from('api_tokens')
+        .select('*')
+        .eq('user_id', user.id)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return res.status(200).json({
+        success: true,
+        scopes: API_TOKEN_SCOPES,
+        tokens: tokens.map(formatToken)
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, tokenId } = req.body;
+
+    switch (action) {
+      case 'create':
+        return await createToken(user.id, req.body, res);
+
+      case 'revoke': {
+        if (!tokenId) {
+          return res.status(400).json({ error: 'Token ID is required' });
+        }
+
+        const { data: revoked, error } = await supabase
+          .from('api_tokens')
+          .update({ revoked_at: new Date().toISOString() })
+          .eq('id', tokenId)
+          .eq('user_id', user.id)
+          .is('revoked_at', null)
+          .select('id');
+
+        if (error) throw error;
+
+        if (!revoked.length) {
+          return res.status(404).json({ error: 'Token not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Token revoked'
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Tokens error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,183 @@
+// api/totp.js - authenticator app (TOTP) enrolment
+import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { authenticateRequest } from '../lib/auth.js';
+import { hitRateLimit, sendRateLimited } from '../lib/rate-limit.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  totpProvisioningUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+} from '../lib/totp.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_HASH_ROUNDS = 10;
+
+// Actions that check a code from the app. Six digits are guessable without a
+// limit, and a stolen session could otherwise brute-force its way to disabling
+// the app, so attempts are counted per user whether they succeed or not.
+const CODE_ACTIONS = ['confirm', 'disable', 'regenerate-recovery-codes'];
+const CODE_ATTEMPT_LIMIT = 10;
+const CODE_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Recovery codes use the same 8-hex format as the emailed security codes
+async function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    codes.push(crypto.randomBytes(4).toString('hex').toUpperCase());
+  }
+  const hashed = await Promise.all(codes.map(code => bcrypt.hash(code, RECOVERY_CODE_HASH_ROUNDS)));
+  return { codes, hashed };
+}
+
+export default async function handler(req, res) {
+  try {
+    const user = await authenticateRequest(
+      req,
+      'id, email, totp_secret, totp_pending_secret, totp_enabled_at, totp_last_counter, totp_recovery_codes'
+    );
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        enabled: !!user.totp_secret,
+        enabledAt: user.totp_enabled_at,
+        recoveryCodesRemaining: (user.totp_recovery_codes || []).filter(code => code !== null).length
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, code } = req.body;
+
+    if (CODE_ACTIONS.includes(action)) {
+      const limit = await hitRateLimit(`totp:user:${user.id}`, CODE_ATTEMPT_LIMIT, CODE_ATTEMPT_WINDOW_MS);
+      if (!limit.allowed) {
+        return sendRateLimited(res, limit.retryAfter, 'Too many authenticator code attempts, please try again later');
+      }
+    }
+
+    switch (action) {
+      case 'setup': {
+        if (user.totp_secret) {
+          return res.status(400).json({ error: 'Authenticator app is already enabled' });
+        }
+
+        // Secret stays pending until the user proves their app generates valid codes
+        const secret = generateTotpSecret();
+        await supabase
+          .from('users')
+          .update({ totp_pending_secret: encryptTotpSecret(secret) })
+          .eq('id', user.id);
+
+        return res.status(200).json({
+          success: true,
+          secret,
+          otpauthUri: totpProvisioningUri(user.email, secret)
+        });
+      }
+
+      case 'confirm': {
+        if (!user.totp_pending_secret) {
+          return res.status(400).json({ error: 'Start authenticator setup first' });
+        }
+
+        const secret = decryptTotpSecret(user.totp_pending_secret);
+        const counter = verifyTotp(secret, code);
+        if (counter === null) {
+          return res.status(400).json({ error: 'Invalid authenticator code' });
+        }
+
+        const recovery = await generateRecoveryCodes();
+        const now = new Date().toISOString();
+
+        await supabase
+          .from('users')
+          .update({
+            totp_secret: user.totp_pending_secret,
+            totp_pending_secret: null,
+            totp_enabled_at: now,
+            totp_last_counter: counter,
+            totp_recovery_codes: recovery.hashed,
+            updated_at: now
+          })
+          .eq('id', user.id);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Authenticator app enabled. Store your recovery codes somewhere safe.',
+          recoveryCodes: recovery.codes
+        });
+      }
+
+      case 'regenerate-recovery-codes':
+      case 'disable': {
+        if (!user.totp_secret) {
+          return res.status(400).json({ error: 'Authenticator app is not enabled' });
+        }
+
+        // Both actions require a fresh code from the enrolled app
+        const counter = verifyTotp(decryptTotpSecret(user.totp_secret), code);
+        if (counter === null || counter <= (user.totp_last_counter || 0)) {
+          return res.status(400).json({ error: 'Invalid authenticator code' });
+        }
+
+        const now = new Date().toISOString();
+
+        if (action === 'disable') {
+          await supabase
+            .from('users')
+            .update({
+              totp_secret: null,
+              totp_pending_secret: null,
+              totp_enabled_at: null,
+              totp_last_counter: null,
+              totp_recovery_codes: null,
+              updated_at: now
+            })
+            .eq('id', user.id);
+
+          return res.status(200).json({
+            success: true,
+            message: 'Authenticator app disabled'
+          });
+        }
+
+        const recovery = await generateRecoveryCodes();
+        await supabase
+          .from('users')
+          .update({
+            totp_last_counter: counter,
+            totp_recovery_codes: recovery.hashed,
+            updated_at: now
+          })
+          .eq('id', user.id);
+
+        return res.status(200).json({
+          success: true,
+          message: 'New recovery codes generated. Previous codes no longer work.',
+          recoveryCodes: recovery.codes
+        });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('TOTP error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,9 +1,11 @@
 // api/upload.js - CORRECTED VERSION
 import { createClient } from '@supabase/supabase-js';
-import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { requireAuth } from '../lib/auth.js';
+import { isPageNameTaken, articlePath } from '../lib/articles.js';
+import { BASE_URL, validateSubmission, createArticle } from '../lib/publish.js';
 
 const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
 
@@ -49,89 +51,6 @@ const limiter = (req, res, next) => {
   next();
 };
 
-// Generate encrypted article ID
-function generateEncryptedId(pageName, userId) {
-  const timestamp = Date.now();
-  const data = `${pageName}-${userId}-${timestamp}`;
-  return crypto
-    .createHash('sha256')
-    .update(data + process.env.ENCRYPTION_SECRET)
-    .digest('hex')
-    .substring(0, 20);
-}
-
-// Validate image URL
-function isValidImageUrl(url) {
-  try {
-    const parsed = new URL(url);
-    return parsed.protocol === 'https:' && 
-           /\.(png|jpg|jpeg|webp|gif)$/i.test(parsed.pathname);
-  } catch {
-    return false;
-  }
-}
-
-// Parse cookies
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (cookieHeader) {
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      cookies[name] = decodeURIComponent(value);
-    });
-  }
-  return cookies;
-}
-
-async function verifyUserToken(token, userId) {
-  try {
-    // First, check if user exists
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, security_codes, updated_at')
-      .eq('id', userId)
-      .single();
-    
-    if (error || !user) {
-      console.log('User not found in database');
-      return null;
-    }
-    
-    // Get the token creation time from user.updated_at (when they logged in)
-    const tokenCreationTime = Math.floor(new Date(user.updated_at).getTime() / 1000);
-    
-    // Calculate the exact expiration time (30 days from login)
-    const tokenExpiration = tokenCreationTime + (30 * 24 * 60 * 60);
-    
-    // Recreate the token with the EXACT same expiration
-    const payload = {
-      userId: user.id,
-      exp: tokenExpiration  // Use the exact same expiration from login time
-    };
-    
-    const expectedToken = crypto.createHmac('sha256', process.env.JWT_SECRET)
-      .update(JSON.stringify(payload))
-      .digest('hex');
-    
-    // Debug logging
-    console.log('Token verification details:', {
-      userId: user.id,
-      tokenCreationTime: new Date(tokenCreationTime * 1000).toISOString(),
-      tokenExpiration: new Date(tokenExpiration * 1000).toISOString(),
-      currentTime: new Date().toISOString(),
-      tokenFirst10: token.substring(0, 10) + '...',
-      expectedFirst10: expectedToken.substring(0, 10) + '...',
-      match: token === expectedToken
-    });
-    
-    return token === expectedToken ? user : null;
-    
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return null;
-  }
-}
-
 export default async function handler(req, res) {
   // Apply security middleware
   securityMiddleware(req, res, () => {
@@ -144,108 +63,52 @@ export default async function handler(req, res) {
 
       try {
         // Authenticate user
-        const cookies = parseCookies(req.headers.cookie);
-        const token = cookies.token;
-        const userId = cookies.user_id;
-        
-        if (!token || !userId) {
-          return res.status(401).json({ error: 'Authentication required' });
-        }
+        const user = await requireAuth(req, res, {
+          scope: 'upload',
+          columns: 'id, email, email_verified_at'
+        });
+        if (!user) return;
         
-        const user = await verifyUserToken(token, userId);
-        if (!user) {
-          return res.status(401).json({ error: 'Invalid authentication' });
+        // Only confirmed addresses can publish
+        if (!user.email_verified_at) {
+          return res.status(403).json({ 
+            error: 'Please confirm your email address before publishing. Check your inbox for the confirmation link.' 
+          });
         }
 
-        const { title, pageName, content, imageUrl, tags, category } = req.body;
-        
-        // Validation
-        if (!title || !pageName || !content || !imageUrl) {
-          return res.status(400).json({ error: 'Missing required fields' });
-        }
+        const { draftId } = req.body;
         
-        // Validate page name format
-        const pageNameRegex = /^[a-z0-9-]{3,50}$/;
-        if (!pageNameRegex.test(pageName)) {
-          return res.status(400).json({ 
-            error: 'Page name must be 3-50 lowercase letters, numbers, and hyphens only' 
-          });
+        // Same checks for the wizard and for bundle imports
+        const { error: validationError, submission } = await validateSubmission(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
         }
         
-        // ===== FIXED IMAGE VALIDATION =====
-        // Validate image URL OR accept base64
-        if (!imageUrl) {
-            return res.status(400).json({ error: 'Image is required' });
-        }
-
-        // Accept either https URL or base64 data
-        if (imageUrl.startsWith('https://')) {
-            if (!isValidImageUrl(imageUrl)) {
-                return res.status(400).json({ 
-                    error: 'Invalid image URL. Must be HTTPS and end with .png, .jpg, .jpeg, .webp, or .gif' 
-                });
-            }
-        } else if (!imageUrl.startsWith('data:image/')) {
-            return res.status(400).json({ 
-                error: 'Invalid image format. Must be HTTPS URL or base64 data URL' 
-            });
+        // Publishing a saved draft reuses its row and URL
+        let draft = null;
+        if (draftId) {
+          const { data } = await supabase
+            .from('superhero_articles')
+            .select('id, encrypted_id, vercel_url')
+            .eq('id', draftId)
+            .eq('user_id', user.id)
+            .eq('status', 'draft')
+            .maybeSingle();
+          
+          if (!data) {
+            return res.status(404).json({ error: 'Draft not found' });
+          }
+          draft = data;
         }
-        // ===== END FIXED IMAGE VALIDATION =====
-        
-        // Check if page name already exists
-        const { data: existingPage } = await supabase
-          .from('superhero_articles')
-          .select('id')
-          .eq('page_name', pageName)
-          .neq('status', 'removed')
-          .single();
         
-        if (existingPage) {
+        // Check if page name already exists (the draft's own reservation doesn't count)
+        if (await isPageNameTaken(submission.pageName, draft?.id)) {
           return res.status(400).json({ error: 'Page name already exists' });
         }
         
-        // Generate encrypted ID and Vercel URL
-        const encryptedId = generateEncryptedId(pageName, user.id);
-        const baseUrl = process.env.VERCEL_URL || 'https://superarticles.vercel.app';
-        const vercelUrl = `${baseUrl}/${encryptedId}`;
-        
-        // Calculate renewal dates
-        const now = new Date();
-        const renewalDate = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-        
-        // Insert article into database - handle base64 or URL
-        const articleData = {
-            user_id: user.id,
-            title: title.trim(),
-            page_name: pageName,
-            content: JSON.stringify({
-                text: content,
-                formatted: content,
-                created: now.toISOString()
-            }),
-            // Store as-is (URL or base64)
-            image_url: imageUrl,
-            vercel_url: vercelUrl,
-            encrypted_id: encryptedId,
-            tags: Array.isArray(tags) ? tags.slice(0, 10) : [],
-            category: category || 'general',
-            status: 'active',
-            last_renewed: now.toISOString(),
-            next_renewal_date: renewalDate.toISOString(),
-            removal_date: new Date(renewalDate.getTime() + 20 * 24 * 60 * 60 * 1000).toISOString(),
-            views: 0,
-            quality_score: 100
-        };
-
-        const { data: article, error: insertError } = await supabase
-            .from('superhero_articles')
-            .insert(articleData)
-            .select()
-            .single();
-        
-        if (insertError) {
-          console.error('Database insert error:', insertError);
-          return res.status(500).json({ error: 'Failed to create article' });
+        const { article, status, error: createError } = await createArticle(user.id, submission, draft);
+        if (createError) {
+          return res.status(status).json({ error: createError });
         }
         
         // Generate article recommendations (simplified)
@@ -264,10 +127,13 @@ export default async function handler(req, res) {
             title: article.title,
             pageName: article.page_name,
             vercelUrl: article.vercel_url,
+            vanityUrl: `${BASE_URL}${articlePath(article.page_name)}`,
             encryptedId: article.encrypted_id,
             renewalDate: article.next_renewal_date,
+            scheduled: article.status === 'scheduled',
+            publishAt: article.publish_at,
             recommendations: recommendations,
-            previewUrl: `${baseUrl}/preview/${encryptedId}`
+            previewUrl: `${BASE_URL}/preview/${article.encrypted_id}`
           }
         });
         
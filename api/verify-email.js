@@ -0,0 +1,52 @@
+// api/verify-email.js - confirms the address of a newly registered account
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { verifyToken } from '../lib/auth.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Links are opened in the browser, so outcomes are redirects back to the homepage
+function redirect(res, outcome) {
+  res.setHeader('Location', `/?emailVerified=${outcome}`);
+  return res.status(302).end();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const claims = verifyToken(req.query.token);
+    if (!claims || claims.purpose !== 'verify-email' || !claims.email) {
+      return redirect(res, 'invalid');
+    }
+
+    // The token is bound to the address it was sent to
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, email_verified_at')
+      .eq('id', claims.sub)
+      .single();
+
+    if (error || !user || user.email !== claims.email) {
+      return redirect(res, 'invalid');
+    }
+
+    if (!user.email_verified_at) {
+      const now = new Date().toISOString();
+      await supabase
+        .from('users')
+        .update({
+          email_verified_at: now,
+          updated_at: now
+        })
+        .eq('id', user.id);
+    }
+
+    return redirect(res, 'success');
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return redirect(res, 'error');
+  }
+}
@@ -3,6 +3,15 @@ import { createClient } from '@supabase/supabase-js';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { resolveAuth } from '../lib/auth.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from '../lib/profile.js';
+import { imageVariants } from '../lib/images.js';
+import { sanitizeContent } from '../lib/sanitize.js';
+import { publishDueArticles, resolvePageName, articlePath } from '../lib/articles.js';
+import { articleRole, articleAuthors } from '../lib/collaborators.js';
+import { listComments, countComments, addComment, editComment, deleteComment, reportComment } from '../lib/comments.js';
+import { hitRateLimit } from '../lib/rate-limit.js';
+import { DEFAULT_REACTION, REACTIONS, isReaction, reactionCounts, toggleReaction } from '../lib/reactions.js';
 
 const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
 
@@ -51,46 +60,6 @@ const corsMiddleware = (req, res, next) => {
   next();
 };
 
-// Parse cookies
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (cookieHeader) {
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      if (name && value) {
-        cookies[name] = decodeURIComponent(value);
-      }
-    });
-  }
-  return cookies;
-}
-
-// Verify user token
-async function verifyUserToken(token, userId) {
-  try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email')
-      .eq('id', userId)
-      .single();
-    
-    if (error || !user) return null;
-    
-    // Simple token verification
-    // In production, use proper JWT verification
-    const crypto = await import('crypto');
-    const expectedToken = crypto
-      .createHmac('sha256', process.env.JWT_SECRET || 'default-secret')
-      .update(JSON.stringify({ userId: user.id }))
-      .digest('hex');
-    
-    return token === expectedToken ? user : null;
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return null;
-  }
-}
-
 // Increment view count
 async function incrementViewCount(articleId, userId) {
   try {
@@ -155,24 +124,25 @@ async function incrementViewCount(articleId, userId) {
   }
 }
 
-// Get article by encrypted ID
-async function getArticleByEncryptedId(encryptedId) {
+// Get article by encrypted ID. Unpublished articles (drafts and scheduled ones)
+// are only loaded for previews by their owner and collaborators.
+async function getArticleByEncryptedId(encryptedId, { previewFor = null } = {}) {
   try {
     console.log('Fetching article with encryptedId:', encryptedId);
     
-    const { data: article, error } = await supabase
+    let query = supabase
       .from('superhero_articles')
       .select(`
         *,
-        users!inner (
-          id,
-          email,
-          username
-        )
+        users!inner (${PUBLIC_PROFILE_COLUMNS})
       `)
-      .eq('encrypted_id', encryptedId)
-      .eq('status', 'active')
-      .single();
+      .eq('encrypted_id', encryptedId);
+    
+    query = previewFor
+      ? query.in('status', ['draft', 'scheduled'])
+      : query.eq('status', 'active');
+    
+    const { data: article, error } = await query.single();
     
     if (error) {
       console.error('Supabase error fetching article:', error);
@@ -184,24 +154,16 @@ async function getArticleByEncryptedId(encryptedId) {
       return null;
     }
     
-    // Get comments
-    const { data: comments, error: commentsError } = await supabase
-      .from('comments')
-      .select(`
-        *,
-        users (
-          username,
-          avatar_url
-        )
-      `)
-      .eq('article_id', article.id)
-      .order('created_at', { ascending: false });
+    if (previewFor && !(await articleRole(article, previewFor))) {
+      return null;
+    }
     
-    // Get likes count
-    const { count: likesCount, error: likesError } = await supabase
-      .from('article_likes')
-      .select('*', { count: 'exact', head: true })
-      .eq('article_id', article.id);
+    // Comments are paged separately, the article only carries the count
+    const commentsCount = await countComments(article.id);
+    
+    // Likes count every reaction, whichever emoji it is
+    const reactions = await reactionCounts(article.id);
+    const likesCount = Object.values(reactions).reduce((sum, count) => sum + count, 0);
     
     // Get bookmarks count
     const { count: bookmarksCount, error: bookmarksError } = await supabase
@@ -224,17 +186,8 @@ async function getArticleByEncryptedId(encryptedId) {
       content = { text: article.content || '' };
     }
     
-    // Format comments
-    const formattedComments = (comments || []).map(comment => ({
-      id: comment.id,
-      content: comment.content,
-      created_at: comment.created_at,
-      author: {
-        id: comment.user_id,
-        username: comment.users?.username || 'Anonymous',
-        avatar: comment.users?.avatar_url || `https://ui-avatars.com/api/?name=${comment.users?.username || 'User'}`
-      }
-    }));
+    // Rows written before sanitizing on write are cleaned on the way out
+    content = sanitizeContent(content || {});
     
     // Calculate days left for renewal
     const nextRenewal = new Date(article.next_renewal_date);
@@ -246,22 +199,22 @@ async function getArticleByEncryptedId(encryptedId) {
       encryptedId: article.encrypted_id,
       title: article.title,
       pageName: article.page_name,
+      articlePath: article.page_name ? articlePath(article.page_name) : null,
       content: content,
       imageUrl: article.image_url,
+      images: imageVariants(article.image_url),
       vercelUrl: article.vercel_url,
       tags: article.tags || [],
       category: article.category,
       description: article.description,
-      author: {
-        id: article.users?.id,
-        username: article.users?.username || article.users?.email?.split('@')[0] || 'Anonymous',
-        email: article.users?.email
-      },
+      author: publicProfile(article.users, article.user_id),
+      authors: await articleAuthors(article),
       stats: {
         views: article.views || 0,
-        likes: likesCount || 0,
+        likes: likesCount,
+        reactions,
         bookmarks: bookmarksCount || 0,
-        comments: formattedComments.length || 0
+        comments: commentsCount
       },
       renewal: {
         lastRenewed: article.last_renewed,
@@ -274,7 +227,6 @@ async function getArticleByEncryptedId(encryptedId) {
         qualityScore: article.quality_score || 100,
         status: article.status
       },
-      comments: formattedComments,
       recommendations: article.renewal_recommendations || []
     };
   } catch (error) {
@@ -283,13 +235,15 @@ async function getArticleByEncryptedId(encryptedId) {
   }
 }
 
+const NO_INTERACTIONS = { liked: false, reaction: null, bookmarked: false };
+
 // Get user's interaction status
 async function getUserInteractionStatus(articleId, userId) {
   try {
     const [likesResult, bookmarksResult] = await Promise.all([
       supabase
         .from('article_likes')
-        .select('id')
+        .select('id, reaction')
         .eq('article_id', articleId)
         .eq('user_id', userId)
         .maybeSingle(),
@@ -304,92 +258,59 @@ async function getUserInteractionStatus(articleId, userId) {
     
     return {
       liked: !!likesResult.data,
+      reaction: likesResult.data?.reaction || null,
       bookmarked: !!bookmarksResult.data
     };
   } catch (error) {
     console.error('Error getting user interactions:', error);
-    return { liked: false, bookmarked: false };
+    return { ...NO_INTERACTIONS };
   }
 }
 
-// Add comment
-async function addComment(articleId, userId, content) {
-  try {
-    const { data: comment, error } = await supabase
-      .from('comments')
-      .insert({
-        article_id: articleId,
-        user_id: userId,
-        content: content.trim(),
-        created_at: new Date().toISOString()
-      })
-      .select(`
-        *,
-        users (
-          username,
-          avatar_url
-        )
-      `)
-      .single();
-    
-    if (error) throw error;
-    
-    return {
-      id: comment.id,
-      content: comment.content,
-      created_at: comment.created_at,
-      author: {
-        id: comment.user_id,
-        username: comment.users?.username || 'Anonymous',
-        avatar: comment.users?.avatar_url || `https://ui-avatars.com/api/?name=${comment.users?.username || 'User'}`
-      }
-    };
-  } catch (error) {
-    console.error('Error adding comment:', error);
-    return null;
-  }
+// First page of top-level comments, as seen by the viewer
+async function getCommentThread(article, viewerId) {
+  const { comments, nextCursor } = await listComments(article.id, {
+    viewerId,
+    articleOwnerId: article.author.id
+  });
+  
+  return { comments, commentsNextCursor: nextCursor };
 }
 
-// Toggle like
-async function toggleLike(articleId, userId) {
-  try {
-    // Check if already liked
-    const { data: existingLike } = await supabase
-      .from('article_likes')
-      .select('id')
-      .eq('article_id', articleId)
-      .eq('user_id', userId)
-      .maybeSingle();
-    
-    if (existingLike) {
-      // Unlike
-      await supabase
-        .from('article_likes')
-        .delete()
-        .eq('id', existingLike.id);
-      
-      // Decrement like count
-      await supabase.rpc('decrement_likes', { article_id: articleId });
-      
-      return { liked: false };
-    } else {
-      // Like
-      await supabase
-        .from('article_likes')
-        .insert({
-          article_id: articleId,
-          user_id: userId,
-          created_at: new Date().toISOString()
-        });
+// Post, edit, delete or report a comment. Returns the result for the response,
+// or { status, error, retryAfter } when the action is refused.
+async function handleCommentAction(action, article, userId, body) {
+  const { content, parentId, commentId, reason, details } = body || {};
+  
+  switch (action) {
+    case 'comment': {
+      const limit = await hitRateLimit(`comment:user:${userId}`, 10, 10 * 60 * 1000);
+      if (!limit.allowed) {
+        return { status: 429, error: 'You are commenting too fast, please try again later', retryAfter: limit.retryAfter };
+      }
       
-      // Increment like count
-      await supabase.rpc('increment_likes', { article_id: articleId });
+      const result = await addComment(article.id, userId, content, parentId || null);
+      if (result.comment?.pending) {
+        result.message = 'Your comment is awaiting moderator review';
+      }
+      return result;
+    }
+    
+    case 'edit-comment':
+      return editComment(article.id, commentId, userId, content);
+    
+    case 'delete-comment':
+      return deleteComment({ id: article.id, user_id: article.author.id }, commentId, userId);
+    
+    case 'report-comment': {
+      const limit = await hitRateLimit(`comment-report:user:${userId}`, 20, 60 * 60 * 1000);
+      if (!limit.allowed) {
+        return { status: 429, error: 'Too many reports, please try again later', retryAfter: limit.retryAfter };
+      }
       
-      return { liked: true };
+      const result = await reportComment(article.id, commentId, userId, reason, details);
+      return result.error ? result : { message: 'Thanks, a moderator will review this comment' };
     }
-  } catch (error) {
-    console.error('Error toggling like:', error);
-    return null;
   }
 }
 
@@ -435,7 +356,7 @@ async function getRelatedArticles(articleId, tags = [], category = '', limit = 3
   try {
     let query = supabase
       .from('superhero_articles')
-      .select('*')
+      .select('id, title, page_name, image_url, vercel_url, tags, category, views, created_at')
       .neq('id', articleId)
       .eq('status', 'active')
       .order('created_at', { ascending: false })
@@ -456,9 +377,9 @@ async function getRelatedArticles(articleId, tags = [], category = '', limit = 3
       id: article.id,
       title: article.title,
       pageName: article.page_name,
-      imageUrl: article.image_url,
+      imageUrl: imageVariants(article.image_url)?.card,
       vercelUrl: article.vercel_url,
-      excerpt: article.excerpt || article.title,
+      excerpt: article.title,
       tags: article.tags || [],
       category: article.category,
       views: article.views || 0,
@@ -474,20 +395,35 @@ export default async function handler(req, res) {
   // Apply CORS middleware first
   corsMiddleware(req, res, async () => {
     try {
-      const { encryptedId, action } = req.query;
-      const cookies = parseCookies(req.headers.cookie);
-      const token = cookies.token;
-      const userId = cookies.user_id;
+      const { action, pageName } = req.query;
+      let { encryptedId } = req.query;
       
       console.log('API Request:', { 
         encryptedId, 
+        pageName,
         action, 
         method: req.method,
-        origin: req.headers.origin,
-        hasToken: !!token,
-        hasUserId: !!userId 
+        origin: req.headers.origin
       });
       
+      // Vanity URLs look the article up by its current or a former page name.
+      // This is a JSON lookup, not a navigation: a former name still answers
+      // with the article and names its current path for the page to show.
+      let renamedTo = null;
+      if (!encryptedId && pageName) {
+        const resolved = await resolvePageName(pageName);
+        if (!resolved) {
+          return res.status(404).json({ 
+            success: false,
+            error: 'Article not found or no longer available' 
+          });
+        }
+        encryptedId = resolved.encryptedId;
+        if (resolved.renamed) {
+          renamedTo = articlePath(resolved.pageName);
+        }
+      }
+      
       if (!encryptedId) {
         return res.status(400).json({ 
           success: false,
@@ -496,7 +432,32 @@ export default async function handler(req, res) {
       }
       
       // Get article
-      const article = await getArticleByEncryptedId(encryptedId);
+      let article = await getArticleByEncryptedId(encryptedId);
+      
+      // A scheduled article may be due before the next cleanup run publishes it
+      if (!article && await publishDueArticles(encryptedId)) {
+        article = await getArticleByEncryptedId(encryptedId);
+      }
+      
+      // Authenticate user if a session cookie or API token is present
+      const auth = await resolveAuth(req, { scope: 'read' });
+      if (auth.error) {
+        if (auth.retryAfter) {
+          res.setHeader('Retry-After', String(auth.retryAfter));
+        }
+        return res.status(auth.status).json({ 
+          success: false,
+          error: auth.error 
+        });
+      }
+      const user = auth.user;
+      
+      // The owner and collaborators may preview the article before it is published
+      let isPreview = false;
+      if (!article && user && !action) {
+        article = await getArticleByEncryptedId(encryptedId, { previewFor: user.id });
+        isPreview = Boolean(article);
+      }
       
       if (!article) {
         return res.status(404).json({ 
@@ -505,11 +466,8 @@ export default async function handler(req, res) {
         });
       }
       
-      // Authenticate user if token exists
-      let user = null;
-      if (token && userId) {
-        user = await verifyUserToken(token, userId);
-      }
+      // API tokens are read-only here; interactions need a browser session
+      const sessionUser = auth.apiToken ? null : user;
       
       // Handle different actions
       switch (action) {
@@ -523,68 +481,95 @@ export default async function handler(req, res) {
           }
           
           const interactions = user ? await getUserInteractionStatus(article.id, user.id) : 
-            { liked: false, bookmarked: false };
+            { ...NO_INTERACTIONS };
           
           return res.status(200).json({
             success: true,
             data: {
               ...article,
+              ...await getCommentThread(article, user?.id),
               userInteractions: interactions
             }
           });
           
-        case 'comment':
-          if (!user || req.method !== 'POST') {
-            return res.status(401).json({ 
+        case 'comments':
+          // Top-level comments, or the replies to parentId, one page at a time
+          const commentsPage = await listComments(article.id, {
+            parentId: req.query.parentId || null,
+            cursor: req.query.cursor || null,
+            limit: req.query.limit,
+            viewerId: user?.id,
+            articleOwnerId: article.author.id
+          });
+          if (commentsPage.error) {
+            return res.status(400).json({ 
               success: false,
-              error: 'Authentication required' 
+              error: commentsPage.error 
             });
           }
           
-          const { content } = req.body;
-          if (!content || content.trim().length < 1) {
-            return res.status(400).json({ 
+          return res.status(200).json({
+            success: true,
+            comments: commentsPage.comments,
+            nextCursor: commentsPage.nextCursor
+          });
+          
+        case 'comment':
+        case 'edit-comment':
+        case 'delete-comment':
+        case 'report-comment':
+          if (!sessionUser || req.method !== 'POST') {
+            return res.status(401).json({ 
               success: false,
-              error: 'Comment cannot be empty' 
+              error: 'Authentication required' 
             });
           }
           
-          const comment = await addComment(article.id, user.id, content);
-          if (!comment) {
-            return res.status(500).json({ 
+          const commentResult = await handleCommentAction(action, article, user.id, req.body);
+          if (commentResult.error) {
+            if (commentResult.retryAfter) {
+              res.setHeader('Retry-After', String(commentResult.retryAfter));
+            }
+            return res.status(commentResult.status).json({ 
               success: false,
-              error: 'Failed to add comment' 
+              error: commentResult.error 
             });
           }
           
           return res.status(200).json({
             success: true,
-            comment: comment
+            ...commentResult
           });
           
         case 'like':
-          if (!user || req.method !== 'POST') {
+        case 'react':
+          if (!sessionUser || req.method !== 'POST') {
             return res.status(401).json({ 
               success: false,
               error: 'Authentication required' 
             });
           }
           
-          const likeResult = await toggleLike(article.id, user.id);
-          if (!likeResult) {
-            return res.status(500).json({ 
+          // A plain like is the default reaction
+          const reactionKey = action === 'like' ? DEFAULT_REACTION : req.body?.reaction;
+          if (!isReaction(reactionKey)) {
+            return res.status(400).json({ 
               success: false,
-              error: 'Failed to update like' 
+              error: `Reaction must be one of: ${REACTIONS.map(reaction => reaction.key).join(', ')}` 
             });
           }
           
+          const reaction = await toggleReaction(article.id, user.id, reactionKey);
+          
           return res.status(200).json({
             success: true,
-            liked: likeResult.liked
+            liked: Boolean(reaction),
+            reaction,
+            reactions: await reactionCounts(article.id)
           });
           
         case 'bookmark':
-          if (!user || req.method !== 'POST') {
+          if (!sessionUser || req.method !== 'POST') {
             return res.status(401).json({ 
               success: false,
               error: 'Authentication required' 
@@ -606,7 +591,7 @@ export default async function handler(req, res) {
           
         case 'interactions':
           const interactionsStatus = user ? await getUserInteractionStatus(article.id, user.id) : 
-            { liked: false, bookmarked: false };
+            { ...NO_INTERACTIONS };
           
           return res.status(200).json({
             success: true,
@@ -629,9 +614,21 @@ export default async function handler(req, res) {
         default:
           // Default: get article with interactions
           const defaultInteractions = user ? await getUserInteractionStatus(article.id, user.id) : 
-            { liked: false, bookmarked: false };
+            { ...NO_INTERACTIONS };
+          
+          // Increment view count (authenticated or anonymous), previews don't count
+          if (isPreview) {
+            return res.status(200).json({
+              success: true,
+              preview: true,
+              data: {
+                ...article,
+                ...await getCommentThread(article, user.id),
+                userInteractions: defaultInteractions
+              }
+            });
+          }
           
-          // Increment view count (authenticated or anonymous)
           if (user) {
             await incrementViewCount(article.id, user.id);
           } else {
@@ -644,8 +641,10 @@ export default async function handler(req, res) {
           
           return res.status(200).json({
             success: true,
+            ...(renamedTo && { canonicalPath: renamedTo }),
             data: {
               ...article,
+              ...await getCommentThread(article, user?.id),
               userInteractions: defaultInteractions
             }
           });
@@ -0,0 +1,426 @@
+// lib/articles.js - article validation, content helpers and revision history
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import {
+  ARTICLE_IMAGE_MAX_BYTES,
+  isManagedImageUrl,
+  storeArticleImage,
+  decodeDataUrl,
+  detectImageType
+} from './images.js';
+import { sanitizeArticleHtml } from './sanitize.js';
+import { resolveTags, normalizeCategory, CATEGORIES } from './taxonomy.js';
+import { articleRole, canEdit } from './collaborators.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const PAGE_NAME_REGEX = /^[a-z0-9-]{3,50}$/;
+export const MAX_SCHEDULE_DAYS = 365;
+
+const RENEWAL_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const REMOVAL_GRACE_MS = 20 * 24 * 60 * 60 * 1000;
+
+// Renewal clock columns for an article going live at the given time
+export function renewalSchedule(publishedAt = new Date()) {
+  const renewalDate = new Date(publishedAt.getTime() + RENEWAL_PERIOD_MS);
+  return {
+    last_renewed: publishedAt.toISOString(),
+    next_renewal_date: renewalDate.toISOString(),
+    removal_date: new Date(renewalDate.getTime() + REMOVAL_GRACE_MS).toISOString()
+  };
+}
+
+// Parse an optional publishAt value, returns { publishAt } (a Date or null) or { error }
+export function parsePublishAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return { publishAt: null };
+  }
+
+  const publishAt = new Date(value);
+  if (Number.isNaN(publishAt.getTime())) {
+    return { error: 'publishAt must be an ISO 8601 timestamp' };
+  }
+
+  const now = Date.now();
+  if (publishAt.getTime() <= now) {
+    return { error: 'publishAt must be in the future' };
+  }
+
+  if (publishAt.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Articles can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+
+  return { publishAt };
+}
+
+// Make scheduled articles whose time has come live. The renewal clock starts
+// now, at actual publication. Pass an encryptedId to only check that article.
+export async function publishDueArticles(encryptedId = null) {
+  const now = new Date();
+
+  let query = supabase
+    .from('superhero_articles')
+    .update({
+      status: 'active',
+      ...renewalSchedule(now),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('status', 'scheduled')
+    .lte('publish_at', now.toISOString());
+
+  if (encryptedId) {
+    query = query.eq('encrypted_id', encryptedId);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return data.length;
+}
+
+// Generate encrypted article ID
+export function generateEncryptedId(pageName, userId) {
+  const timestamp = Date.now();
+  const data = `${pageName}-${userId}-${timestamp}`;
+  return crypto
+    .createHash('sha256')
+    .update(data + process.env.ENCRYPTION_SECRET)
+    .digest('hex')
+    .substring(0, 20);
+}
+
+// Validate image URL
+export function isValidImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' &&
+           /\.(png|jpg|jpeg|webp|gif)$/i.test(parsed.pathname);
+  } catch {
+    return false;
+  }
+}
+
+// Accept an https image URL, one of our stored images or base64 data to be stored,
+// returns an error message or null. Data is checked as far as possible without
+// storing it, so callers can validate everything before the first upload.
+export function validateImage(imageUrl) {
+  if (!imageUrl || typeof imageUrl !== 'string') {
+    return 'Image is required';
+  }
+
+  if (isManagedImageUrl(imageUrl)) {
+    return null;
+  }
+
+  if (imageUrl.startsWith('https://')) {
+    if (!isValidImageUrl(imageUrl)) {
+      return 'Invalid image URL. Must be HTTPS and end with .png, .jpg, .jpeg, .webp, or .gif';
+    }
+  } else if (imageUrl.startsWith('data:image/')) {
+    const buffer = decodeDataUrl(imageUrl);
+    if (!buffer || !detectImageType(buffer)) {
+      return 'Image must be a PNG, JPEG, GIF or WebP image';
+    }
+    if (buffer.length > ARTICLE_IMAGE_MAX_BYTES) {
+      return `Image must be ${ARTICLE_IMAGE_MAX_BYTES / (1024 * 1024)}MB or smaller`;
+    }
+  } else {
+    return 'Invalid image format. Must be HTTPS URL or base64 data URL';
+  }
+
+  return null;
+}
+
+// Resolve a submitted image to the value kept in image_url. Inline base64 data is
+// moved to storage and replaced by the hero URL. Returns { imageUrl } or { error }.
+export async function prepareArticleImage(userId, imageUrl) {
+  const imageError = validateImage(imageUrl);
+  if (imageError) return { error: imageError };
+
+  if (!imageUrl.startsWith('data:')) {
+    return { imageUrl };
+  }
+
+  const stored = await storeArticleImage(userId, imageUrl);
+  return stored.error ? stored : { imageUrl: stored.urls.hero };
+}
+
+// True when a live article or another draft already holds the page name,
+// or it still redirects to another article after a rename
+export async function isPageNameTaken(pageName, excludeId = null) {
+  let query = supabase
+    .from('superhero_articles')
+    .select('id')
+    .eq('page_name', pageName)
+    .neq('status', 'removed');
+
+  let historyQuery = supabase
+    .from('article_page_names')
+    .select('article_id, superhero_articles!inner (status)')
+    .eq('page_name', pageName)
+    .neq('superhero_articles.status', 'removed');
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+    historyQuery = historyQuery.neq('article_id', excludeId);
+  }
+
+  const [current, history] = await Promise.all([query.limit(1), historyQuery.limit(1)]);
+  if (current.error) throw current.error;
+  if (history.error) throw history.error;
+  return current.data.length > 0 || history.data.length > 0;
+}
+
+// Vanity path of an article, served by article.html through the /a/ rewrite
+export function articlePath(pageName) {
+  return `/a/${pageName}`;
+}
+
+// Resolve a current or former page name to a live article.
+// Returns { encryptedId, pageName, renamed } or null.
+export async function resolvePageName(pageName) {
+  if (!PAGE_NAME_REGEX.test(pageName || '')) {
+    return null;
+  }
+
+  const { data: article, error } = await supabase
+    .from('superhero_articles')
+    .select('encrypted_id, page_name')
+    .eq('page_name', pageName)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (article) {
+    return { encryptedId: article.encrypted_id, pageName: article.page_name, renamed: false };
+  }
+
+  const { data: former, error: historyError } = await supabase
+    .from('article_page_names')
+    .select('superhero_articles!inner (encrypted_id, page_name, status)')
+    .eq('page_name', pageName)
+    .eq('superhero_articles.status', 'active')
+    .maybeSingle();
+
+  if (historyError) throw historyError;
+  if (!former) return null;
+
+  return {
+    encryptedId: former.superhero_articles.encrypted_id,
+    pageName: former.superhero_articles.page_name,
+    renamed: true
+  };
+}
+
+// Keep the old page name redirecting to the article. Taking back one of its
+// own former names removes that name from the history.
+async function recordPageNameChange(articleId, oldName, newName) {
+  if (oldName) {
+    const { error } = await supabase
+      .from('article_page_names')
+      .upsert({ page_name: oldName, article_id: articleId, created_at: new Date().toISOString() }, { onConflict: 'page_name' });
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from('article_page_names')
+    .delete()
+    .eq('page_name', newName)
+    .eq('article_id', articleId);
+  if (error) throw error;
+}
+
+// Parse the stored content column, which may be double-encoded JSON
+export function parseContent(raw) {
+  try {
+    let content = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (typeof content === 'string') {
+      content = JSON.parse(content);
+    }
+    return content || {};
+  } catch (e) {
+    return { text: raw || '' };
+  }
+}
+
+// The editable fields of an article as stored in a revision
+function snapshot(article) {
+  return {
+    title: article.title,
+    content: parseContent(article.content).text || '',
+    blocks: parseContent(article.content).blocks || [],
+    image_url: article.image_url,
+    tags: article.tags || [],
+    category: article.category
+  };
+}
+
+export async function latestRevisionNumber(articleId) {
+  const { data, error } = await supabase
+    .from('article_revisions')
+    .select('revision_number')
+    .eq('article_id', articleId)
+    .order('revision_number', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data.length ? data[0].revision_number : 0;
+}
+
+// Append an immutable revision holding the article's current state
+export async function recordRevision(article, editorId, summary, revisionNumber = null) {
+  const number = revisionNumber || (await latestRevisionNumber(article.id)) + 1;
+
+  const { data: revision, error } = await supabase
+    .from('article_revisions')
+    .insert({
+      article_id: article.id,
+      revision_number: number,
+      editor_id: editorId,
+      summary: summary || null,
+      ...snapshot(article),
+      created_at: new Date().toISOString()
+    })
+    .select('id, revision_number, created_at')
+    .single();
+
+  if (error) throw error;
+  return revision;
+}
+
+// Validate a partial edit, returns { error } or { updates } with column values
+export async function validateArticleChanges(changes, userId, articleId = null) {
+  const updates = {};
+
+  if (changes.pageName !== undefined) {
+    const pageName = typeof changes.pageName === 'string' ? changes.pageName.trim() : '';
+    if (!PAGE_NAME_REGEX.test(pageName)) {
+      return { error: 'Page name must be 3-50 lowercase letters, numbers, and hyphens only' };
+    }
+    if (await isPageNameTaken(pageName, articleId)) {
+      return { error: 'Page name already exists' };
+    }
+    updates.page_name = pageName;
+  }
+
+  if (changes.title !== undefined) {
+    if (typeof changes.title !== 'string' || !changes.title.trim()) {
+      return { error: 'Title cannot be empty' };
+    }
+    updates.title = changes.title.trim();
+  }
+
+  if (changes.content !== undefined) {
+    const content = sanitizeArticleHtml(changes.content);
+    if (!content.trim()) {
+      return { error: 'Content cannot be empty' };
+    }
+    updates.contentText = content;
+  }
+
+  if (changes.tags !== undefined) {
+    if (!Array.isArray(changes.tags)) {
+      return { error: 'Tags must be a list' };
+    }
+    updates.tags = await resolveTags(changes.tags);
+  }
+
+  if (changes.category !== undefined) {
+    const category = normalizeCategory(changes.category);
+    if (!category) {
+      return { error: `Category must be one of ${CATEGORIES.map(c => c.slug).join(', ')}` };
+    }
+    updates.category = category;
+  }
+
+  // Last, so nothing is uploaded for an edit that fails validation
+  if (changes.imageUrl !== undefined) {
+    const image = await prepareArticleImage(userId, changes.imageUrl);
+    if (image.error) return { error: image.error };
+    updates.image_url = image.imageUrl;
+  }
+
+  return { updates };
+}
+
+// Apply validated changes and record the result as a new revision.
+// Articles created before revision history get their prior state saved first.
+export async function saveArticleEdit(article, updates, editorId, summary) {
+  const now = new Date();
+  let latest = await latestRevisionNumber(article.id);
+
+  if (latest === 0) {
+    await recordRevision(article, article.user_id, 'Original version', 1);
+    latest = 1;
+  }
+
+  const { contentText, contentBlocks, ...columns } = updates;
+  const updateData = { ...columns, updated_at: now.toISOString() };
+
+  if (contentText !== undefined || contentBlocks !== undefined) {
+    const currentContent = parseContent(article.content);
+    const content = {
+      ...currentContent,
+      lastUpdated: now.toISOString(),
+      updateCount: (currentContent.updateCount || 0) + 1
+    };
+
+    if (contentText !== undefined) {
+      content.text = sanitizeArticleHtml(contentText);
+      content.formatted = content.text;
+    }
+
+    // Blocks arrive already validated by validateBlocks
+    if (contentBlocks !== undefined) {
+      content.blocks = contentBlocks;
+    }
+
+    updateData.content = JSON.stringify(content);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('superhero_articles')
+    .update(updateData)
+    .eq('id', article.id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  if (updates.page_name && updates.page_name !== article.page_name) {
+    await recordPageNameChange(article.id, article.page_name, updates.page_name);
+  }
+
+  const revision = await recordRevision(updated, editorId, summary, latest + 1);
+  return { article: updated, revision };
+}
+
+// Load an article the user may edit as its owner or an editor,
+// returns { article, role } or { status, error }
+export async function loadEditableArticle(articleId, userId) {
+  if (!articleId) {
+    return { status: 400, error: 'Article ID is required' };
+  }
+
+  const { data: article, error } = await supabase
+    .from('superhero_articles')
+    .select('*')
+    .eq('id', articleId)
+    .maybeSingle();
+
+  const role = article && !error ? await articleRole(article, userId) : null;
+  if (!canEdit(role)) {
+    return { status: 404, error: 'Article not found or unauthorized' };
+  }
+
+  if (article.status === 'removed') {
+    return { status: 400, error: 'Cannot edit removed article' };
+  }
+
+  if (article.status === 'draft') {
+    return { status: 400, error: 'Drafts are edited from the upload wizard' };
+  }
+
+  return { article, role };
+}
@@ -0,0 +1,352 @@
+// lib/auth.js - shared session token and cookie handling for all API routes
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { hitRateLimit } from './rate-limit.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Base64url helpers
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value, 'base64url').toString('utf8');
+}
+
+// Key id is derived from the secret so rotation needs no extra config
+function keyId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').substring(0, 8);
+}
+
+// Signing keys: JWT_SECRET signs new tokens, JWT_PREVIOUS_SECRETS
+// (comma separated) are still accepted for verification during rotation
+function getSigningKeys() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const previous = (process.env.JWT_PREVIOUS_SECRETS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  return [process.env.JWT_SECRET, ...previous].map(secret => ({
+    kid: keyId(secret),
+    secret
+  }));
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Issue a self-contained token: base64url(header).base64url(payload).signature
+export function signToken(userId, claims = {}, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const [currentKey] = getSigningKeys();
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: currentKey.kid }));
+  const payload = base64UrlEncode(JSON.stringify({
+    ...claims,
+    sub: userId,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+
+  const signature = sign(`${header}.${payload}`, currentKey.secret);
+  return `${header}.${payload}.${signature}`;
+}
+
+// Verify signature and expiry, returns the payload or null
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+
+  try {
+    const { alg, kid } = JSON.parse(base64UrlDecode(header));
+    if (alg !== 'HS256') return null;
+
+    const key = getSigningKeys().find(k => k.kid === kid);
+    if (!key) return null;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`, key.secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const claims = JSON.parse(base64UrlDecode(payload));
+    if (!claims.sub || typeof claims.exp !== 'number') return null;
+    if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse cookies
+export function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (cookieHeader) {
+    cookieHeader.split(';').forEach(cookie => {
+      const [name, ...rest] = cookie.trim().split('=');
+      const value = rest.join('=');
+      if (name && value) {
+        cookies[name] = decodeURIComponent(value);
+      }
+    });
+  }
+  return cookies;
+}
+
+// Best-effort client IP behind the Vercel proxy
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// HTTP-only session cookies set after a successful login
+export function sessionCookies(token, userId, maxAge = TOKEN_TTL_SECONDS) {
+  return [
+    `token=${token}; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}; Path=/`,
+    `user_id=${userId}; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}; Path=/`
+  ];
+}
+
+// Expired cookies that make the browser drop the session
+export function clearSessionCookies() {
+  return [
+    'token=; HttpOnly; Secure; SameSite=Strict; Max-Age=0; Path=/',
+    'user_id=; HttpOnly; Secure; SameSite=Strict; Max-Age=0; Path=/'
+  ];
+}
+
+// Record a new server-side session and return its signed token
+export async function createSession(userId, req) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + TOKEN_TTL_SECONDS * 1000);
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: userId,
+      user_agent: (req.headers['user-agent'] || '').substring(0, 255),
+      ip_address: getClientIp(req),
+      created_at: now.toISOString(),
+      last_seen_at: now.toISOString(),
+      expires_at: expiresAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return signToken(userId, { sid: session.id });
+}
+
+// Revoke one of the user's sessions, returns false if it was not found
+export async function revokeSession(userId, sessionId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+
+  return data.length > 0;
+}
+
+// Revoke every active session of the user, optionally keeping one
+export async function revokeAllSessions(userId, exceptSessionId = null) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+
+  return data.length;
+}
+
+// Resolve the session and user from the request cookies, or null
+export async function authenticateSession(req, columns = 'id, email') {
+  try {
+    const cookies = parseCookies(req.headers.cookie);
+    const claims = verifyToken(cookies.token);
+    if (!claims || !claims.sid) return null;
+
+    // The user_id cookie is informational, but it must not disagree with the token
+    if (cookies.user_id && cookies.user_id !== String(claims.sub)) return null;
+
+    const { data: session, error: sessionError } = await supabase
+      .from('user_sessions')
+      .select('id, user_id, last_seen_at, revoked_at, expires_at')
+      .eq('id', claims.sid)
+      .single();
+
+    if (sessionError || !session) return null;
+    if (session.revoked_at || String(session.user_id) !== String(claims.sub)) return null;
+    if (new Date(session.expires_at) <= new Date()) return null;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(`${columns}, banned_at`)
+      .eq('id', claims.sub)
+      .single();
+
+    if (error || !user || user.banned_at) return null;
+
+    // Throttle last-seen writes so every request does not hit the database twice
+    const now = new Date();
+    if (now - new Date(session.last_seen_at) > SESSION_TOUCH_INTERVAL_MS) {
+      await supabase
+        .from('user_sessions')
+        .update({ last_seen_at: now.toISOString(), ip_address: getClientIp(req) })
+        .eq('id', session.id);
+    }
+
+    return { user, session };
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
+
+// Resolve the logged-in user from the request cookies, or null
+export async function authenticateRequest(req, columns = 'id, email') {
+  const auth = await authenticateSession(req, columns);
+  return auth ? auth.user : null;
+}
+
+// Personal access tokens for scripts, sent as `Authorization: Bearer <token>`
+export const API_TOKEN_SCOPES = ['read', 'upload', 'renew'];
+const API_TOKEN_PREFIX = 'sapat_';
+const API_TOKEN_RATE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Only the hash is stored; the plaintext is shown to the user once
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function generateApiToken() {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    hash: hashApiToken(token),
+    prefix: token.substring(0, API_TOKEN_PREFIX.length + 6)
+  };
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+async function authenticateApiToken(req, token, scope, columns) {
+  if (!scope) {
+    return { status: 403, error: 'This endpoint does not accept API tokens' };
+  }
+
+  const { data: apiToken, error } = await supabase
+    .from('api_tokens')
+    .select('id, user_id, scopes, rate_limit_per_hour, expires_at, revoked_at')
+    .eq('token_hash', hashApiToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!apiToken || apiToken.revoked_at ||
+      (apiToken.expires_at && new Date(apiToken.expires_at) <= new Date())) {
+    return { status: 401, error: 'Invalid API token' };
+  }
+
+  if (!apiToken.scopes.includes(scope)) {
+    return { status: 403, error: `API token is missing the "${scope}" scope` };
+  }
+
+  // Each token has its own budget, independent of the owner's other tokens
+  const limit = await hitRateLimit(`api-token:${apiToken.id}`, apiToken.rate_limit_per_hour, API_TOKEN_RATE_WINDOW_MS);
+  if (!limit.allowed) {
+    return { status: 429, error: 'API token rate limit exceeded', retryAfter: limit.retryAfter };
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select(`${columns}, banned_at`)
+    .eq('id', apiToken.user_id)
+    .single();
+
+  if (!user || user.banned_at) {
+    return { status: 401, error: 'Invalid API token' };
+  }
+
+  await supabase
+    .from('api_tokens')
+    .update({ last_used_at: new Date().toISOString(), last_used_ip: getClientIp(req) })
+    .eq('id', apiToken.id);
+
+  return { user, apiToken };
+}
+
+// Resolve credentials from either an API token (when the endpoint names a scope)
+// or the session cookies. Returns { user } (null when anonymous) or
+// { status, error, retryAfter } when credentials were sent but rejected.
+export async function resolveAuth(req, { scope = null, columns = 'id, email' } = {}) {
+  const token = bearerToken(req);
+  if (token) {
+    return authenticateApiToken(req, token, scope, columns);
+  }
+
+  const auth = await authenticateSession(req, columns);
+  return auth || { user: null };
+}
+
+// Like resolveAuth, but answers 401/403/429 itself. Returns the user or null.
+export async function requireAuth(req, res, options = {}) {
+  const auth = await resolveAuth(req, options);
+
+  if (auth.error) {
+    if (auth.retryAfter) {
+      res.setHeader('Retry-After', String(auth.retryAfter));
+    }
+    res.status(auth.status).json({ error: auth.error, retryAfter: auth.retryAfter });
+    return null;
+  }
+
+  if (!auth.user) {
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
+  }
+
+  return auth.user;
+}
+
+// Roles are ordered: an admin can do everything a moderator can
+const ROLE_LEVELS = { user: 0, moderator: 1, admin: 2 };
+
+export function hasRole(user, role) {
+  return (ROLE_LEVELS[user?.role] || 0) >= ROLE_LEVELS[role];
+}
@@ -0,0 +1,193 @@
+// lib/blocks.js - typed interactive content blocks stored in content.blocks
+import { prepareArticleImage, validateImage } from './articles.js';
+import { sanitizeText } from './sanitize.js';
+
+export const MAX_BLOCKS = 10;
+export const BLOCK_TYPES = ['powers', 'timeline', 'comparison', 'stats'];
+
+const LIMITS = {
+  title: 100,
+  name: 60,
+  label: 40,
+  description: 500,
+  powers: 12,
+  events: 30,
+  stats: 10
+};
+
+// Years ("1962"), months ("2011-08") or full dates ("2023-06-02")
+const TIMELINE_DATE_REGEX = /^\d{1,4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+// Plain text field, returns the cleaned value or null when missing or too long
+function cleanText(value, max, required = true) {
+  const text = sanitizeText(value);
+  if (!text) return required ? null : '';
+  return text.length <= max ? text : null;
+}
+
+function validatePowers(block) {
+  if (!Array.isArray(block.items) || block.items.length === 0 || block.items.length > LIMITS.powers) {
+    return { error: `A powers block needs 1-${LIMITS.powers} items` };
+  }
+
+  const items = [];
+  for (const item of block.items) {
+    const name = cleanText(item?.name, LIMITS.name);
+    const description = cleanText(item?.description, LIMITS.description, false);
+    if (name === null || description === null) {
+      return { error: `Each power needs a name (max ${LIMITS.name} characters) and an optional description (max ${LIMITS.description})` };
+    }
+
+    const level = item.level === undefined || item.level === null ? null : Number(item.level);
+    if (level !== null && !(Number.isInteger(level) && level >= 0 && level <= 100)) {
+      return { error: 'Power level must be a whole number from 0 to 100' };
+    }
+
+    items.push({ name, description, level });
+  }
+
+  return { block: { items } };
+}
+
+function validateTimeline(block) {
+  if (!Array.isArray(block.events) || block.events.length === 0 || block.events.length > LIMITS.events) {
+    return { error: `A timeline block needs 1-${LIMITS.events} events` };
+  }
+
+  const events = [];
+  for (const event of block.events) {
+    const date = typeof event?.date === 'string' ? event.date.trim() : String(event?.date ?? '');
+    if (!TIMELINE_DATE_REGEX.test(date)) {
+      return { error: 'Timeline dates must look like 1962, 2011-08 or 2023-06-02' };
+    }
+
+    const title = cleanText(event.title, LIMITS.title);
+    const description = cleanText(event.description, LIMITS.description, false);
+    if (title === null || description === null) {
+      return { error: `Each timeline event needs a title (max ${LIMITS.title} characters) and an optional description (max ${LIMITS.description})` };
+    }
+
+    events.push({ date, title, description });
+  }
+
+  return { block: { events } };
+}
+
+function validateComparison(block) {
+  const sides = {};
+
+  for (const side of ['before', 'after']) {
+    const imageUrl = block[side]?.imageUrl;
+    const imageError = validateImage(imageUrl);
+    if (imageError) {
+      return { error: `Comparison ${side} image: ${imageError}` };
+    }
+
+    const label = cleanText(block[side]?.label, LIMITS.label, false);
+    if (label === null) {
+      return { error: `Comparison labels must be at most ${LIMITS.label} characters` };
+    }
+
+    sides[side] = { imageUrl, label };
+  }
+
+  return { block: sides };
+}
+
+function validateStats(block) {
+  const name = cleanText(block.name, LIMITS.name, false);
+  if (name === null) {
+    return { error: `Stat card name must be at most ${LIMITS.name} characters` };
+  }
+
+  if (!Array.isArray(block.stats) || block.stats.length === 0 || block.stats.length > LIMITS.stats) {
+    return { error: `A stat card needs 1-${LIMITS.stats} stats` };
+  }
+
+  const stats = [];
+  for (const stat of block.stats) {
+    const label = cleanText(stat?.label, LIMITS.label);
+    const value = Number(stat?.value);
+    if (label === null || !(Number.isInteger(value) && value >= 0 && value <= 100)) {
+      return { error: `Each stat needs a label (max ${LIMITS.label} characters) and a whole number value from 0 to 100` };
+    }
+    stats.push({ label, value });
+  }
+
+  return { block: { name, stats } };
+}
+
+// Validate and normalize a list of blocks. Returns { blocks } or { error }.
+// Nothing is uploaded here: comparison images are only checked, storeBlockImages
+// stores them once the rest of the save has been validated.
+export function validateBlocks(blocks) {
+  if (blocks === undefined || blocks === null) {
+    return { blocks: [] };
+  }
+
+  if (!Array.isArray(blocks) || blocks.length > MAX_BLOCKS) {
+    return { error: `Blocks must be a list of at most ${MAX_BLOCKS} items` };
+  }
+
+  const validated = [];
+  for (const [index, block] of blocks.entries()) {
+    if (!block || !BLOCK_TYPES.includes(block.type)) {
+      return { error: `Block ${index + 1}: type must be one of ${BLOCK_TYPES.join(', ')}` };
+    }
+
+    const title = cleanText(block.title, LIMITS.title, false);
+    if (title === null) {
+      return { error: `Block ${index + 1}: title must be at most ${LIMITS.title} characters` };
+    }
+
+    let result;
+    switch (block.type) {
+      case 'powers':
+        result = validatePowers(block);
+        break;
+      case 'timeline':
+        result = validateTimeline(block);
+        break;
+      case 'comparison':
+        result = validateComparison(block);
+        break;
+      case 'stats':
+        result = validateStats(block);
+        break;
+    }
+
+    if (result.error) {
+      return { error: `Block ${index + 1}: ${result.error}` };
+    }
+
+    validated.push({ type: block.type, title, ...result.block });
+  }
+
+  return { blocks: validated };
+}
+
+// Move inline comparison images of validated blocks to storage, through the same
+// path as the hero image. Returns { blocks } with stored URLs or { error }.
+export async function storeBlockImages(blocks, userId) {
+  const stored = [];
+
+  for (const [index, block] of (blocks || []).entries()) {
+    if (block.type !== 'comparison') {
+      stored.push(block);
+      continue;
+    }
+
+    const sides = {};
+    for (const side of ['before', 'after']) {
+      const image = await prepareArticleImage(userId, block[side].imageUrl);
+      if (image.error) {
+        return { error: `Block ${index + 1}: Comparison ${side} image: ${image.error}` };
+      }
+      sides[side] = { ...block[side], imageUrl: image.imageUrl };
+    }
+
+    stored.push({ ...block, ...sides });
+  }
+
+  return { blocks: stored };
+}
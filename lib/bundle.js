@@ -0,0 +1,143 @@
+// lib/bundle.js - export bundles: one NDJSON line per article, holding a Markdown
+// document with front matter and the images the article references
+import matter from 'gray-matter';
+import TurndownService from 'turndown';
+import { marked } from 'marked';
+import { parseContent } from './articles.js';
+import { readImageAsDataUrl } from './images.js';
+
+export const BUNDLE_FORMAT = 'superarticles-bundle/1';
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-'
+});
+
+// Video embeds have no Markdown form, they stay HTML inside the Markdown
+turndown.keep(['iframe']);
+
+// gray-matter honours a language after the opening fence ("---js") and its
+// JavaScript engine evals the block, so imported front matter is YAML only
+function rejectEngine() {
+  throw new Error('Only YAML front matter is supported');
+}
+
+// Passing options also keeps gray-matter from caching every document it parses
+const MATTER_OPTIONS = {
+  language: 'yaml',
+  engines: {
+    // gray-matter's YAML engine is js-yaml's safeLoad: no functions or custom types
+    yaml: matter.engines.yaml,
+    javascript: rejectEngine,
+    json: rejectEngine
+  }
+};
+
+const FENCE_LANGUAGE_REGEX = /^---[ \t]*([^\s-]\S*)/;
+
+// Stored image URLs of an article: the hero image and comparison block images
+function referencedImages(article, blocks) {
+  const urls = new Set([article.image_url]);
+
+  for (const block of blocks) {
+    if (block?.type === 'comparison') {
+      urls.add(block.before?.imageUrl);
+      urls.add(block.after?.imageUrl);
+    }
+  }
+
+  return [...urls].filter(url => typeof url === 'string' && url && !url.startsWith('data:'));
+}
+
+// Bundle record of an article. With embedImages every image from our own
+// storage is included as a data URL, keyed by its original URL, so the bundle
+// is self-contained. External and unreachable images are left out and keep
+// their URL as a plain reference.
+export async function articleToRecord(article, { embedImages = true } = {}) {
+  const content = parseContent(article.content);
+  const blocks = Array.isArray(content.blocks) ? content.blocks : [];
+
+  const frontMatter = {
+    title: article.title,
+    page_name: article.page_name,
+    category: article.category,
+    tags: article.tags || [],
+    status: article.status,
+    image: article.image_url,
+    created_at: article.created_at,
+    updated_at: article.updated_at
+  };
+  if (article.publish_at) frontMatter.publish_at = article.publish_at;
+  if (blocks.length) frontMatter.blocks = blocks;
+
+  // YAML has no undefined, drop missing values
+  Object.keys(frontMatter).forEach(key => {
+    if (frontMatter[key] === undefined || frontMatter[key] === null) delete frontMatter[key];
+  });
+
+  const record = {
+    format: BUNDLE_FORMAT,
+    markdown: matter.stringify(turndown.turndown(content.text || ''), frontMatter)
+  };
+
+  if (embedImages) {
+    record.images = {};
+    for (const url of referencedImages(article, blocks)) {
+      const dataUrl = await readImageAsDataUrl(url);
+      if (dataUrl) record.images[url] = dataUrl;
+    }
+  }
+
+  return record;
+}
+
+// Turn a bundle record back into the fields the upload wizard submits.
+// Returns { input, status, publishAt } or { error }.
+export function recordToSubmission(record) {
+  if (!record || record.format !== BUNDLE_FORMAT || typeof record.markdown !== 'string') {
+    return { error: `Not a ${BUNDLE_FORMAT} record` };
+  }
+
+  const fence = record.markdown.match(FENCE_LANGUAGE_REGEX);
+  if (fence && !['yaml', 'yml'].includes(fence[1].toLowerCase())) {
+    return { error: 'Front matter must be YAML' };
+  }
+
+  let document;
+  try {
+    document = matter(record.markdown, MATTER_OPTIONS);
+  } catch (error) {
+    return { error: 'Front matter could not be parsed' };
+  }
+
+  const data = document.data || {};
+  const images = record.images && typeof record.images === 'object' ? record.images : {};
+  const embedded = url => (typeof images[url] === 'string' ? images[url] : url);
+
+  const blocks = Array.isArray(data.blocks)
+    ? data.blocks.map(block => (block?.type === 'comparison'
+      ? {
+          ...block,
+          before: { ...block.before, imageUrl: embedded(block.before?.imageUrl) },
+          after: { ...block.after, imageUrl: embedded(block.after?.imageUrl) }
+        }
+      : block))
+    : undefined;
+
+  const timestamp = value => (value instanceof Date ? value.toISOString() : value);
+
+  return {
+    status: data.status,
+    publishAt: timestamp(data.publish_at),
+    input: {
+      title: data.title,
+      pageName: data.page_name,
+      content: marked.parse(document.content, { async: false }),
+      imageUrl: embedded(data.image),
+      tags: data.tags,
+      category: data.category,
+      blocks
+    }
+  };
+}
@@ -0,0 +1,49 @@
+// lib/collaborators.js - co-authors of an article and what each of them may do
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from './profile.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// editor: edit, renew and preview before publication; viewer: preview only
+export const COLLABORATOR_ROLES = ['editor', 'viewer'];
+export const MAX_COLLABORATORS = 20;
+
+// The caller's role on an article: 'owner', an accepted collaborator role, or null
+export async function articleRole(article, userId) {
+  if (!userId) return null;
+  if (article.user_id === userId) return 'owner';
+
+  const { data, error } = await supabase
+    .from('article_collaborators')
+    .select('role')
+    .eq('article_id', article.id)
+    .eq('user_id', userId)
+    .not('accepted_at', 'is', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.role : null;
+}
+
+export function canEdit(role) {
+  return role === 'owner' || role === 'editor';
+}
+
+// Owner first, then accepted editors in the order they joined
+export async function articleAuthors(article) {
+  const { data: editors, error } = await supabase
+    .from('article_collaborators')
+    .select(`user_id, users (${PUBLIC_PROFILE_COLUMNS})`)
+    .eq('article_id', article.id)
+    .eq('role', 'editor')
+    .not('accepted_at', 'is', null)
+    .order('accepted_at', { ascending: true });
+
+  if (error) throw error;
+
+  return [
+    publicProfile(article.users, article.user_id),
+    ...editors.map(editor => publicProfile(editor.users, editor.user_id))
+  ];
+}
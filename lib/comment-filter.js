@@ -0,0 +1,154 @@
+// lib/comment-filter.js - spam and profanity screening for new and edited comments
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Only escaped words and phrases: moderator-written regular expressions would run
+// on every comment, and one that backtracks badly stalls posting for everyone
+export const FILTER_KINDS = ['word'];
+export const MAX_FILTER_LENGTH = 200;
+export const MAX_COMMENT_LINKS = 2;
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+const FILTER_CACHE_MS = 60 * 1000;
+
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Filters change rarely, so warm instances reuse them for a minute
+let cachedFilters = null;
+let cachedAt = 0;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns a case-insensitive RegExp matching the word or phrase on its own,
+// or null for an unknown kind or a pattern that does not compile
+export function compileFilter(kind, pattern) {
+  if (!FILTER_KINDS.includes(kind)) return null;
+
+  try {
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(pattern)}($|[^\\p{L}\\p{N}])`, 'iu');
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadFilters() {
+  if (cachedFilters && Date.now() - cachedAt < FILTER_CACHE_MS) {
+    return cachedFilters;
+  }
+
+  const { data, error } = await supabase
+    .from('comment_filters')
+    .select('id, kind, pattern');
+
+  if (error) throw error;
+
+  cachedFilters = data
+    .map(filter => ({ ...filter, regex: compileFilter(filter.kind, filter.pattern) }))
+    .filter(filter => filter.regex);
+  cachedAt = Date.now();
+  return cachedFilters;
+}
+
+async function isDuplicate(userId, content, excludeId) {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_MS).toISOString();
+
+  let query = supabase
+    .from('comments')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('content', content)
+    .neq('moderation_status', 'rejected')
+    .is('deleted_at', null)
+    .gte('created_at', since)
+    .limit(1);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// Reasons to hold a comment for review; an empty list means it can go live.
+// excludeId leaves the comment being edited out of the duplicate check.
+export async function screenComment(userId, content, { excludeId = null } = {}) {
+  const reasons = [];
+
+  const filters = await loadFilters();
+  if (filters.some(filter => filter.regex.test(content))) {
+    reasons.push('filtered-term');
+  }
+
+  const links = content.match(LINK_REGEX) || [];
+  if (links.length > MAX_COMMENT_LINKS) {
+    reasons.push('too-many-links');
+  }
+
+  if (await isDuplicate(userId, content, excludeId)) {
+    reasons.push('duplicate');
+  }
+
+  return reasons;
+}
+
+export async function listCommentFilters() {
+  const { data, error } = await supabase
+    .from('comment_filters')
+    .select('id, kind, pattern, created_at, creator:users!comment_filters_created_by_fkey (id, username)')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+// Returns { filter } or { error }
+export async function addCommentFilter(kind, value, actorId) {
+  const pattern = typeof value === 'string' ? value.trim() : '';
+  if (!FILTER_KINDS.includes(kind)) {
+    return { error: `Filter kind must be one of: ${FILTER_KINDS.join(', ')}` };
+  }
+  if (!pattern || pattern.length > MAX_FILTER_LENGTH) {
+    return { error: `Pattern must be 1-${MAX_FILTER_LENGTH} characters` };
+  }
+  if (!compileFilter(kind, pattern)) {
+    return { error: 'Pattern cannot be used as a filter' };
+  }
+
+  const { data: filter, error } = await supabase
+    .from('comment_filters')
+    .insert({
+      kind,
+      pattern: pattern.toLowerCase(),
+      created_by: actorId,
+      created_at: new Date().toISOString()
+    })
+    .select('id, kind, pattern')
+    .single();
+
+  if (error?.code === '23505') {
+    return { error: 'This filter already exists' };
+  }
+  if (error) throw error;
+
+  cachedFilters = null;
+  return { filter };
+}
+
+// Returns the removed filter, or null if there was none
+export async function removeCommentFilter(filterId) {
+  const { data, error } = await supabase
+    .from('comment_filters')
+    .delete()
+    .eq('id', filterId)
+    .select('id, kind, pattern');
+
+  if (error) throw error;
+
+  cachedFilters = null;
+  return data[0] || null;
+}
@@ -0,0 +1,303 @@
+// lib/comments.js - threaded article comments with cursor pagination, reports
+// and moderation holds
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from './profile.js';
+import { sanitizeText } from './sanitize.js';
+import { screenComment } from './comment-filter.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_COMMENT_DEPTH = 3; // top-level comments are depth 0
+export const COMMENT_EDIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+export const COMMENT_PAGE_SIZE = 20;
+const MAX_COMMENT_PAGE_SIZE = 50;
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'off-topic', 'other'];
+export const REPORT_HOLD_THRESHOLD = 3; // open reports that hide a comment until review
+const MAX_REPORT_DETAILS = 500;
+
+const COMMENT_COLUMNS = `
+  id, article_id, user_id, parent_id, depth, content, created_at, edited_at, deleted_at, moderation_status,
+  users!comments_user_id_fkey (${PUBLIC_PROFILE_COLUMNS}),
+  replies:comments!comments_parent_id_fkey (count)
+`;
+
+// Opaque cursor over (created_at, id), stable while new comments arrive
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.created_at, i: row.id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return !Number.isNaN(Date.parse(c)) && /^[0-9a-f-]{1,64}$/i.test(String(i)) ? { c, i } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Plain text comment body, returns { content } or { error }
+export function cleanCommentContent(value) {
+  // Comments are stored as escaped plain text
+  const content = sanitizeText(value);
+  if (!content) {
+    return { error: 'Comment cannot be empty' };
+  }
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { content };
+}
+
+function canEditComment(row, viewerId) {
+  return Boolean(viewerId) && row.user_id === viewerId && !row.deleted_at &&
+    Date.now() - new Date(row.created_at).getTime() <= COMMENT_EDIT_WINDOW_MS;
+}
+
+// Deleted comments stay in the thread as placeholders so replies keep their context
+export function formatComment(row, { viewerId = null, articleOwnerId = null } = {}) {
+  const deleted = Boolean(row.deleted_at);
+  return {
+    id: row.id,
+    parentId: row.parent_id || null,
+    depth: row.depth || 0,
+    content: deleted ? null : sanitizeText(row.content),
+    deleted,
+    pending: row.moderation_status === 'pending',
+    edited: Boolean(row.edited_at),
+    editedAt: row.edited_at || null,
+    created_at: row.created_at,
+    author: deleted ? null : publicProfile(row.users, row.user_id),
+    replyCount: row.replies?.[0]?.count || 0,
+    canReply: !deleted && (row.depth || 0) < MAX_COMMENT_DEPTH,
+    canEdit: canEditComment(row, viewerId),
+    canDelete: Boolean(viewerId) && !deleted && (row.user_id === viewerId || articleOwnerId === viewerId),
+    canReport: Boolean(viewerId) && !deleted && row.user_id !== viewerId
+  };
+}
+
+// Held comments are only shown to their author, rejected ones to nobody
+function isVisibleTo(row, viewerId) {
+  return row.moderation_status === 'approved' || (row.moderation_status === 'pending' && row.user_id === viewerId);
+}
+
+// One page of top-level comments (newest first) or of replies to parentId
+// (oldest first, reading like a conversation). Returns { comments, nextCursor }.
+// Comments held for review are dropped after paging, so a page may come up short.
+export async function listComments(articleId, { parentId = null, cursor = null, limit = COMMENT_PAGE_SIZE, viewerId = null, articleOwnerId = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || COMMENT_PAGE_SIZE, 1), MAX_COMMENT_PAGE_SIZE);
+  const newestFirst = !parentId;
+
+  let query = supabase
+    .from('comments')
+    .select(COMMENT_COLUMNS)
+    .eq('article_id', articleId)
+    .neq('moderation_status', 'rejected')
+    .order('created_at', { ascending: !newestFirst })
+    .order('id', { ascending: !newestFirst })
+    .limit(pageSize + 1);
+
+  query = parentId ? query.eq('parent_id', parentId) : query.is('parent_id', null);
+
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    return { error: 'Invalid cursor' };
+  }
+  if (position) {
+    const op = newestFirst ? 'lt' : 'gt';
+    query = query.or(`created_at.${op}."${position.c}",and(created_at.eq."${position.c}",id.${op}.${position.i})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const page = data.slice(0, pageSize);
+  return {
+    comments: page
+      .filter(row => isVisibleTo(row, viewerId))
+      .map(row => formatComment(row, { viewerId, articleOwnerId })),
+    nextCursor: data.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+// Visible comments on an article, for its stats
+export async function countComments(articleId) {
+  const { count, error } = await supabase
+    .from('comments')
+    .select('id', { count: 'exact', head: true })
+    .eq('article_id', articleId)
+    .eq('moderation_status', 'approved')
+    .is('deleted_at', null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+async function loadComment(articleId, commentId) {
+  if (!commentId) return null;
+
+  const { data } = await supabase
+    .from('comments')
+    .select('id, article_id, user_id, parent_id, depth, created_at, deleted_at, moderation_status')
+    .eq('id', commentId)
+    .eq('article_id', articleId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Add a comment or a reply, returns { comment } or { status, error }
+export async function addComment(articleId, userId, body, parentId = null) {
+  const { content, error: contentError } = cleanCommentContent(body);
+  if (contentError) {
+    return { status: 400, error: contentError };
+  }
+
+  let depth = 0;
+  if (parentId) {
+    const parent = await loadComment(articleId, parentId);
+    if (!parent || parent.deleted_at || !isVisibleTo(parent, userId)) {
+      return { status: 404, error: 'The comment you are replying to no longer exists' };
+    }
+    if (parent.depth >= MAX_COMMENT_DEPTH) {
+      return { status: 400, error: 'This thread cannot be nested any deeper' };
+    }
+    depth = parent.depth + 1;
+  }
+
+  // Flagged comments are posted but held until a moderator approves them
+  const reasons = await screenComment(userId, content);
+
+  const { data: row, error } = await supabase
+    .from('comments')
+    .insert({
+      article_id: articleId,
+      user_id: userId,
+      parent_id: parentId || null,
+      depth,
+      content,
+      moderation_status: reasons.length ? 'pending' : 'approved',
+      moderation_reasons: reasons,
+      created_at: new Date().toISOString()
+    })
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return { comment: formatComment(row, { viewerId: userId }) };
+}
+
+// Authors may edit their own comment within the edit window
+export async function editComment(articleId, commentId, userId, body) {
+  const existing = await loadComment(articleId, commentId);
+  if (!existing || existing.deleted_at || existing.user_id !== userId) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (!canEditComment(existing, userId)) {
+    return { status: 403, error: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MS / 60000} minutes of posting` };
+  }
+
+  const { content, error: contentError } = cleanCommentContent(body);
+  if (contentError) {
+    return { status: 400, error: contentError };
+  }
+
+  // An edit can put a comment on hold, but never takes it off hold
+  const reasons = await screenComment(userId, content, { excludeId: existing.id });
+  const held = reasons.length > 0 && existing.moderation_status === 'approved';
+
+  const { data: row, error } = await supabase
+    .from('comments')
+    .update({
+      content,
+      edited_at: new Date().toISOString(),
+      ...(held && { moderation_status: 'pending', moderation_reasons: reasons })
+    })
+    .eq('id', existing.id)
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return { comment: formatComment(row, { viewerId: userId }) };
+}
+
+// Authors delete their own comments, article owners remove any comment on their article
+export async function deleteComment(article, commentId, userId) {
+  const existing = await loadComment(article.id, commentId);
+  if (!existing || existing.deleted_at) {
+    return { status: 404, error: 'Comment not found' };
+  }
+
+  const isAuthor = existing.user_id === userId;
+  if (!isAuthor && article.user_id !== userId) {
+    return { status: 403, error: 'You cannot delete this comment' };
+  }
+
+  const { error } = await supabase
+    .from('comments')
+    .update({
+      content: '',
+      deleted_at: new Date().toISOString(),
+      deleted_by: userId
+    })
+    .eq('id', existing.id);
+
+  if (error) throw error;
+  return { removedBy: isAuthor ? 'author' : 'owner' };
+}
+
+// Readers report a comment once each; enough open reports hold it for review.
+// Returns { held } or { status, error }.
+export async function reportComment(articleId, commentId, reporterId, reason, details) {
+  const existing = await loadComment(articleId, commentId);
+  if (!existing || existing.deleted_at || !isVisibleTo(existing, reporterId)) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (existing.user_id === reporterId) {
+    return { status: 400, error: 'You cannot report your own comment' };
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return { status: 400, error: `Reason must be one of: ${REPORT_REASONS.join(', ')}` };
+  }
+
+  const { error } = await supabase
+    .from('comment_reports')
+    .insert({
+      comment_id: existing.id,
+      reporter_id: reporterId,
+      reason,
+      details: typeof details === 'string' && details.trim()
+        ? sanitizeText(details).substring(0, MAX_REPORT_DETAILS)
+        : null,
+      created_at: new Date().toISOString()
+    });
+
+  if (error?.code === '23505') {
+    return { status: 409, error: 'You have already reported this comment' };
+  }
+  if (error) throw error;
+
+  const { count, error: countError } = await supabase
+    .from('comment_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('comment_id', existing.id)
+    .is('resolved_at', null);
+
+  if (countError) throw countError;
+
+  // Approving a comment resolves its reports, so it takes fresh ones to hold it again
+  if (count < REPORT_HOLD_THRESHOLD || existing.moderation_status !== 'approved') {
+    return { held: false };
+  }
+
+  const { error: holdError } = await supabase
+    .from('comments')
+    .update({ moderation_status: 'pending', moderation_reasons: ['reported'] })
+    .eq('id', existing.id)
+    .eq('moderation_status', 'approved');
+
+  if (holdError) throw holdError;
+  return { held: true };
+}
@@ -0,0 +1,75 @@
+// lib/diff.js - small line-based diff for comparing article revisions
+
+const MAX_DIFF_CELLS = 4_000_000; // keeps the LCS table within serverless memory
+
+// Split article HTML into lines, breaking after block-level closing tags too
+export function splitLines(text) {
+  return String(text || '')
+    .replace(/(<\/(p|h[1-6]|li|ul|ol|blockquote|pre|div)>)/gi, '$1\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.length > 0);
+}
+
+// Longest-common-subsequence diff. Returns [{ type: 'equal'|'add'|'remove', value }]
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const tail = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Too large to diff precisely: report a full replacement of the middle
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...midA.map(value => ({ type: 'remove', value })),
+      ...midB.map(value => ({ type: 'add', value })),
+      ...tail
+    ];
+  }
+
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'equal', value: midA[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      middle.push({ type: 'remove', value: midA[i++] });
+    } else {
+      middle.push({ type: 'add', value: midB[j++] });
+    }
+  }
+  while (i < midA.length) middle.push({ type: 'remove', value: midA[i++] });
+  while (j < midB.length) middle.push({ type: 'add', value: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
@@ -0,0 +1,274 @@
+// lib/images.js - uploaded image validation, resizing and storage
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const ARTICLE_IMAGE_BUCKET = 'article-images';
+export const ARTICLE_IMAGE_MAX_BYTES = 5 * 1024 * 1024; // 5MB
+const MAX_INPUT_PIXELS = 40_000_000; // rejects decompression bombs before resizing
+
+// Derivatives generated for every article image
+export const ARTICLE_IMAGE_SIZES = {
+  thumbnail: { width: 400, height: 250, fit: 'cover' },
+  card: { width: 800, height: 500, fit: 'cover' },
+  hero: { width: 1600, height: 1000, fit: 'inside' }
+};
+
+// Detect the image type from its first bytes instead of trusting the data URL
+export function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return { mime: 'image/png', ext: 'png' };
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return { mime: 'image/jpeg', ext: 'jpg' };
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return { mime: 'image/gif', ext: 'gif' };
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mime: 'image/webp', ext: 'webp' };
+  }
+  return null;
+}
+
+// Decode a base64 data URL, returns a Buffer or null
+export function decodeDataUrl(dataUrl) {
+  const match = /^data:image\/[a-z+.-]+;base64,(.+)$/is.exec(dataUrl || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+// Re-encode every size as WebP. Re-encoding drops EXIF and other metadata;
+// rotate() first applies the EXIF orientation so photos stay upright.
+async function renderSizes(buffer, sizes) {
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false }).rotate();
+  await image.metadata();
+
+  const rendered = {};
+  for (const [name, size] of Object.entries(sizes)) {
+    rendered[name] = await image
+      .clone()
+      .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+  return rendered;
+}
+
+// Development stand-in for Supabase Storage: set IMAGE_STORAGE_DIR to write files
+// locally and IMAGE_STORAGE_URL to the path they are served from (default /uploads)
+async function putObject(bucket, objectPath, buffer, contentType) {
+  const localDir = process.env.IMAGE_STORAGE_DIR;
+
+  if (localDir) {
+    const target = path.join(localDir, bucket, objectPath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return `${process.env.IMAGE_STORAGE_URL || '/uploads'}/${bucket}/${objectPath}`;
+  }
+
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(objectPath, buffer, { contentType, upsert: false, cacheControl: '31536000' });
+
+  if (error) throw error;
+
+  const { data } = supabase.storage.from(bucket).getPublicUrl(objectPath);
+  return data.publicUrl;
+}
+
+// Validate an uploaded data URL and store its derivatives under a fresh folder.
+// Returns { urls } keyed by size name, or { error } with a message for the user.
+export async function storeImage(dataUrl, { bucket, owner, sizes, maxBytes, label = 'Image' }) {
+  const buffer = decodeDataUrl(dataUrl);
+  if (!buffer) {
+    return { error: `${label} must be a base64 image data URL` };
+  }
+
+  if (buffer.length > maxBytes) {
+    return { error: `${label} must be ${Math.round(maxBytes / (1024 * 1024))}MB or smaller` };
+  }
+
+  if (!detectImageType(buffer)) {
+    return { error: `${label} must be a PNG, JPEG, GIF or WebP image` };
+  }
+
+  let rendered;
+  try {
+    rendered = await renderSizes(buffer, sizes);
+  } catch (error) {
+    console.error('Image processing error:', error.message);
+    return { error: `${label} could not be processed` };
+  }
+
+  // Content never changes under a path, so URLs are stable and cacheable forever
+  const folder = `${owner}/${crypto.randomBytes(8).toString('hex')}`;
+  const urls = {};
+  for (const [name, output] of Object.entries(rendered)) {
+    urls[name] = await putObject(bucket, `${folder}/${name}.webp`, output, 'image/webp');
+  }
+
+  return { urls };
+}
+
+export function storeArticleImage(userId, dataUrl) {
+  return storeImage(dataUrl, {
+    bucket: ARTICLE_IMAGE_BUCKET,
+    owner: userId,
+    sizes: ARTICLE_IMAGE_SIZES,
+    maxBytes: ARTICLE_IMAGE_MAX_BYTES
+  });
+}
+
+// <owner>/<random folder>/hero.webp, as written by storeImage
+const MANAGED_HERO_PATH_REGEX = /^[\w-]+\/[0-9a-f]{16}\/hero\.webp$/;
+
+// True for hero URLs produced by storeArticleImage: our Supabase Storage bucket
+// over https, or the local storage path in development. Anything else that
+// merely ends like one is an external URL.
+export function isManagedImageUrl(url) {
+  if (typeof url !== 'string') return false;
+
+  if (process.env.IMAGE_STORAGE_DIR) {
+    const localBase = `${process.env.IMAGE_STORAGE_URL || '/uploads'}/${ARTICLE_IMAGE_BUCKET}/`;
+    return url.startsWith(localBase) && MANAGED_HERO_PATH_REGEX.test(url.slice(localBase.length));
+  }
+
+  let parsed;
+  let storage;
+  try {
+    parsed = new URL(url);
+    storage = new URL(SUPABASE_CONFIG.url);
+  } catch {
+    return false;
+  }
+
+  const bucketPath = `/storage/v1/object/public/${ARTICLE_IMAGE_BUCKET}/`;
+  // href must round-trip so no dot segments or escapes hide in the original
+  return parsed.href === url &&
+    parsed.protocol === 'https:' &&
+    parsed.origin === storage.origin &&
+    !parsed.username && !parsed.password &&
+    !parsed.search && !parsed.hash &&
+    parsed.pathname.startsWith(bucketPath) &&
+    MANAGED_HERO_PATH_REGEX.test(parsed.pathname.slice(bucketPath.length));
+}
+
+// Size URLs for an article's image_url. Managed images have derivatives next to
+// the hero file; external URLs (and legacy inline data) are used at every size.
+export function imageVariants(imageUrl) {
+  if (!imageUrl) return null;
+
+  if (!isManagedImageUrl(imageUrl)) {
+    return { thumbnail: imageUrl, card: imageUrl, hero: imageUrl };
+  }
+
+  const base = imageUrl.slice(0, -'hero.webp'.length);
+  return Object.fromEntries(
+    Object.keys(ARTICLE_IMAGE_SIZES).map(name => [name, `${base}${name}.webp`])
+  );
+}
+
+// Read a body into memory, giving up as soon as it grows past maxBytes.
+// Returns a Buffer, or null when the body is too large.
+async function readLimited(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+
+  // Returning from the loop cancels the stream, so nothing more is downloaded
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+// Read one of our stored images back as a data URL so it can travel inside an
+// export bundle. Only managed images are read: any other URL an author saved
+// could point anywhere, including internal addresses, and stays a plain link.
+// Returns null when the image is not ours, unreachable, too large or not an image.
+export async function readImageAsDataUrl(url, maxBytes = ARTICLE_IMAGE_MAX_BYTES) {
+  if (typeof url !== 'string' || !url) return null;
+  if (url.startsWith('data:image/')) return url;
+  if (!isManagedImageUrl(url)) return null;
+
+  let buffer;
+  try {
+    const localDir = process.env.IMAGE_STORAGE_DIR;
+    const localBase = `${process.env.IMAGE_STORAGE_URL || '/uploads'}/`;
+
+    if (localDir) {
+      const target = path.resolve(localDir, url.slice(localBase.length));
+      if (!target.startsWith(path.resolve(localDir) + path.sep)) return null;
+      const stat = await fs.stat(target);
+      if (stat.size > maxBytes) return null;
+      buffer = await fs.readFile(target);
+    } else {
+      const response = await fetch(url, { signal: AbortSignal.timeout(10000), redirect: 'error' });
+      if (!response.ok || !response.body) return null;
+      buffer = await readLimited(response.body, maxBytes);
+      if (!buffer) return null;
+    }
+  } catch (error) {
+    console.error('Image read error:', url, error.message);
+    return null;
+  }
+
+  const type = detectImageType(buffer);
+  if (!type || buffer.length > maxBytes) return null;
+  return `data:${type.mime};base64,${buffer.toString('base64')}`;
+}
+
+// Upload folders (<owner>/<folder>/<size>.webp) of an owner that the given text
+// mentions, e.g. an article's image_url or the JSON of its blocks
+export function ownerImageFolders(bucket, owner, text) {
+  const pattern = new RegExp(`/${bucket}/${owner}/([0-9a-f]{16})/`, 'g');
+  return [...String(text || '').matchAll(pattern)].map(match => match[1]);
+}
+
+// Remove the stored objects under an owner's folder, used when an account is
+// deleted. Upload folders named in keep stay, as other articles still use them.
+export async function deleteOwnerImages(bucket, owner, keep = []) {
+  const localDir = process.env.IMAGE_STORAGE_DIR;
+  const kept = new Set(keep);
+
+  if (localDir) {
+    const ownerDir = path.join(localDir, bucket, owner);
+    if (!kept.size) {
+      await fs.rm(ownerDir, { recursive: true, force: true });
+      return;
+    }
+
+    const entries = await fs.readdir(ownerDir).catch(() => []);
+    for (const entry of entries.filter(name => !kept.has(name))) {
+      await fs.rm(path.join(ownerDir, entry), { recursive: true, force: true });
+    }
+    return;
+  }
+
+  const paths = [];
+  const { data: entries, error } = await supabase.storage.from(bucket).list(owner, { limit: 1000 });
+  if (error) throw error;
+
+  for (const entry of entries || []) {
+    if (kept.has(entry.name)) continue;
+
+    // Folders come back without an id
+    if (entry.id) {
+      paths.push(`${owner}/${entry.name}`);
+      continue;
+    }
+
+    const { data: files, error: listError } = await supabase.storage
+      .from(bucket)
+      .list(`${owner}/${entry.name}`, { limit: 100 });
+    if (listError) throw listError;
+
+    (files || []).forEach(file => paths.push(`${owner}/${entry.name}/${file.name}`));
+  }
+
+  if (paths.length) {
+    const { error: removeError } = await supabase.storage.from(bucket).remove(paths);
+    if (removeError) throw removeError;
+  }
+}
@@ -0,0 +1,39 @@
+// lib/mail.js - outgoing email through the configured SMTP server
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: false,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+  return transporter;
+}
+
+// Send a message from the platform address
+export function sendMail(mailOptions) {
+  return getTransporter().sendMail({
+    from: process.env.SMTP_FROM,
+    ...mailOptions
+  });
+}
+
+// Public base URL for absolute links, in email and in stored article URLs.
+// PUBLIC_BASE_URL wins; VERCEL_URL is a bare host name without a scheme.
+export function publicBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  if (process.env.VERCEL_URL) {
+    return `https://${process.env.VERCEL_URL}`;
+  }
+  return 'https://superarticles.vercel.app';
+}
@@ -0,0 +1,19 @@
+// lib/profile.js - the public face of a user, safe to embed in any payload
+
+// Columns needed to build a public profile, for use in Supabase selects
+export const PUBLIC_PROFILE_COLUMNS = 'id, username, avatar_url, bio';
+
+export function defaultAvatarUrl(username) {
+  return `https://ui-avatars.com/api/?name=${encodeURIComponent(username || 'User')}`;
+}
+
+// Never includes email or any other private column
+export function publicProfile(user, fallbackId = null) {
+  const username = user?.username || 'Anonymous';
+  return {
+    id: user?.id || fallbackId,
+    username,
+    avatar: user?.avatar_url || defaultAvatarUrl(user?.username),
+    bio: user?.bio || ''
+  };
+}
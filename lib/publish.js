@@ -0,0 +1,148 @@
+// lib/publish.js - validation and creation of new articles, shared by the upload
+// wizard and bundle imports
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import {
+  PAGE_NAME_REGEX,
+  validateImage,
+  prepareArticleImage,
+  recordRevision,
+  generateEncryptedId,
+  parsePublishAt,
+  renewalSchedule
+} from './articles.js';
+import { sanitizeArticleHtml } from './sanitize.js';
+import { validateBlocks, storeBlockImages } from './blocks.js';
+import { resolveTags, normalizeCategory, CATEGORIES } from './taxonomy.js';
+import { publicBaseUrl } from './mail.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const BASE_URL = publicBaseUrl();
+
+// Validate a new article as the upload wizard submits it.
+// Returns { error } or { submission } with sanitized, normalized values.
+// Page name availability is left to the caller, which knows about drafts.
+export async function validateSubmission(input) {
+  const { title, pageName, imageUrl, tags, category, blocks } = input;
+
+  // Only allow-listed markup from the editor is ever stored
+  const content = sanitizeArticleHtml(input.content);
+
+  if (typeof title !== 'string' || !title.trim() || !pageName || !content.trim() || !imageUrl) {
+    return { error: 'Missing required fields' };
+  }
+
+  if (!PAGE_NAME_REGEX.test(pageName)) {
+    return { error: 'Page name must be 3-50 lowercase letters, numbers, and hyphens only' };
+  }
+
+  // Image URL or base64 data
+  const imageError = validateImage(imageUrl);
+  if (imageError) {
+    return { error: imageError };
+  }
+
+  // Embargoed articles stay hidden until publishAt
+  const schedule = parsePublishAt(input.publishAt);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+
+  const categorySlug = normalizeCategory(category);
+  if (!categorySlug) {
+    return { error: `Category must be one of ${CATEGORIES.map(c => c.slug).join(', ')}` };
+  }
+
+  // Typed interactive blocks (powers, timeline, comparison, stat card)
+  const validatedBlocks = validateBlocks(blocks);
+  if (validatedBlocks.error) {
+    return { error: validatedBlocks.error };
+  }
+
+  return {
+    submission: {
+      title: title.trim(),
+      pageName,
+      content,
+      imageUrl,
+      tags: await resolveTags(tags),
+      category: categorySlug,
+      blocks: validatedBlocks.blocks,
+      publishAt: schedule.publishAt
+    }
+  };
+}
+
+// Store the image, write the article (or publish the given draft row in place)
+// and record its first revision. Returns { article } or { status, error }.
+export async function createArticle(userId, submission, draft = null) {
+  // Inline images are moved to storage, the article keeps the stored URL
+  const image = await prepareArticleImage(userId, submission.imageUrl);
+  if (image.error) {
+    return { status: 400, error: image.error };
+  }
+
+  const storedBlocks = await storeBlockImages(submission.blocks, userId);
+  if (storedBlocks.error) {
+    return { status: 400, error: storedBlocks.error };
+  }
+
+  const encryptedId = draft?.encrypted_id || generateEncryptedId(submission.pageName, userId);
+  const vercelUrl = draft?.vercel_url || `${BASE_URL}/${encryptedId}`;
+
+  // The renewal clock starts at publication, scheduled articles get it when they go live
+  const now = new Date();
+  const { publishAt } = submission;
+  const renewal = publishAt
+    ? { last_renewed: null, next_renewal_date: null, removal_date: null }
+    : renewalSchedule(now);
+
+  const articleData = {
+    user_id: userId,
+    title: submission.title,
+    page_name: submission.pageName,
+    content: JSON.stringify({
+      text: submission.content,
+      formatted: submission.content,
+      blocks: storedBlocks.blocks,
+      created: now.toISOString()
+    }),
+    image_url: image.imageUrl,
+    vercel_url: vercelUrl,
+    encrypted_id: encryptedId,
+    tags: submission.tags,
+    category: submission.category,
+    status: publishAt ? 'scheduled' : 'active',
+    publish_at: publishAt ? publishAt.toISOString() : null,
+    ...renewal,
+    views: 0,
+    quality_score: 100,
+    draft_state: null
+  };
+
+  // A published draft counts as new from the moment it goes live
+  const { data: article, error } = draft
+    ? await supabase
+        .from('superhero_articles')
+        .update({ ...articleData, created_at: now.toISOString(), updated_at: now.toISOString() })
+        .eq('id', draft.id)
+        .eq('status', 'draft')
+        .select()
+        .single()
+    : await supabase
+        .from('superhero_articles')
+        .insert(articleData)
+        .select()
+        .single();
+
+  if (error) {
+    console.error('Database insert error:', error);
+    return { status: 500, error: 'Failed to create article' };
+  }
+
+  // First entry of the article's revision history
+  await recordRevision(article, userId, 'Initial version', 1);
+
+  return { article };
+}
@@ -0,0 +1,86 @@
+// lib/rate-limit.js - database-backed rate limiting that survives serverless cold starts
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Timestamp of the first hit since `since` in the given order, or null
+async function edgeHit(key, since, ascending) {
+  const { data, error } = await supabase
+    .from('rate_limit_events')
+    .select('created_at')
+    .eq('key', key)
+    .gte('created_at', since)
+    .order('created_at', { ascending })
+    .limit(1);
+
+  if (error) throw error;
+  return data.length ? new Date(data[0].created_at) : null;
+}
+
+// Number of hits for `key` within the window, with the oldest and latest timestamps.
+// The count is taken without fetching rows, PostgREST caps those at 1000.
+export async function countRecentHits(key, windowMs) {
+  const since = new Date(Date.now() - windowMs).toISOString();
+
+  const { count, error } = await supabase
+    .from('rate_limit_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('key', key)
+    .gte('created_at', since);
+
+  if (error) throw error;
+
+  if (!count) {
+    return { count: 0, latest: null, oldest: null };
+  }
+
+  const [oldest, latest] = await Promise.all([
+    edgeHit(key, since, true),
+    edgeHit(key, since, false)
+  ]);
+
+  return { count, latest, oldest };
+}
+
+export async function recordHit(key) {
+  const { error } = await supabase
+    .from('rate_limit_events')
+    .insert({ key, created_at: new Date().toISOString() });
+
+  if (error) throw error;
+}
+
+export async function clearHits(key) {
+  const { error } = await supabase
+    .from('rate_limit_events')
+    .delete()
+    .eq('key', key);
+
+  if (error) throw error;
+}
+
+// Record a hit for `key` unless it already has `max` hits within the window.
+// Returns { allowed, retryAfter } with retryAfter in seconds.
+export async function hitRateLimit(key, max, windowMs) {
+  const { count, oldest } = await countRecentHits(key, windowMs);
+
+  if (count >= max) {
+    // oldest is null when the hits expired between the count and the lookup
+    const resetsAt = oldest ? oldest.getTime() + windowMs : Date.now();
+    return {
+      allowed: false,
+      retryAfter: Math.max(1, Math.ceil((resetsAt - Date.now()) / 1000))
+    };
+  }
+
+  await recordHit(key);
+
+  return { allowed: true, retryAfter: 0 };
+}
+
+// Reject with 429 and a Retry-After header
+export function sendRateLimited(res, retryAfter, message = 'Too many requests, please try again later') {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
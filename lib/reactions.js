@@ -0,0 +1,50 @@
+// lib/reactions.js - emoji reactions on articles, one per reader, stored as likes
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+// Order is the order of the picker; love is what a plain like used to be
+export const REACTIONS = [
+  { key: 'love', emoji: '❤️', label: 'Love it' },
+  { key: 'powerful', emoji: '⚡', label: 'Powerful' },
+  { key: 'mind-blown', emoji: '🤯', label: 'Mind-blown' },
+  { key: 'heroic', emoji: '🦸', label: 'Heroic' },
+  { key: 'villainous', emoji: '😈', label: 'Villainous' },
+  { key: 'hilarious', emoji: '😂', label: 'Hilarious' }
+];
+export const DEFAULT_REACTION = 'love';
+
+export function isReaction(key) {
+  return REACTIONS.some(reaction => reaction.key === key);
+}
+
+// Count per reaction key, zero for reactions nobody picked yet
+export async function reactionCounts(articleId) {
+  const { data, error } = await supabase
+    .from('article_reaction_counts')
+    .select('reaction, count')
+    .eq('article_id', articleId);
+
+  if (error) throw error;
+
+  const counts = Object.fromEntries(REACTIONS.map(reaction => [reaction.key, 0]));
+  for (const row of data) {
+    if (row.reaction in counts) counts[row.reaction] = row.count;
+  }
+  return counts;
+}
+
+// Picking the current reaction again removes it, picking another one switches.
+// The toggle_reaction function does this and recounts the article's likes in
+// one transaction. Returns the reader's reaction afterwards, or null.
+export async function toggleReaction(articleId, userId, reaction) {
+  const { data, error } = await supabase.rpc('toggle_reaction', {
+    article: articleId,
+    reader: userId,
+    picked: reaction
+  });
+
+  if (error) throw error;
+  return data ?? null;
+}
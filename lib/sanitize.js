@@ -0,0 +1,88 @@
+// lib/sanitize.js - allow-list HTML sanitizing for article and comment content
+import sanitizeHtml from 'sanitize-html';
+
+// Hosts whose players may be embedded through the editor's video button
+const VIDEO_HOSTS = ['www.youtube.com', 'youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+
+// Quill classes for alignment, indentation, sizes and embeds
+const QUILL_CLASS = /^ql-[a-z0-9-]+$/;
+const COLOR = [/^#[0-9a-f]{3,8}$/i, /^rgba?\(\s*[\d.\s,%]+\)$/i, /^[a-z]+$/i];
+
+const ARTICLE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'sub', 'sup', 'span',
+    'blockquote', 'pre', 'code', 'ol', 'ul', 'li',
+    'a', 'img', 'iframe', 'hr'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    iframe: ['src', 'width', 'height', 'allowfullscreen', 'frameborder'],
+    pre: ['spellcheck'],
+    '*': ['class', 'style']
+  },
+  allowedClasses: {
+    '*': [QUILL_CLASS]
+  },
+  allowedStyles: {
+    '*': {
+      color: COLOR,
+      'background-color': COLOR,
+      'text-align': [/^(left|right|center|justify)$/]
+    }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    // Inline pictures pasted into the editor arrive as data URLs
+    img: ['http', 'https', 'data']
+  },
+  allowProtocolRelative: false,
+  allowedIframeHostnames: VIDEO_HOSTS,
+  transformTags: {
+    // Every link opens in a new tab without handing over window.opener or ranking
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        ...attribs,
+        target: '_blank',
+        rel: 'noopener noreferrer nofollow'
+      }
+    })
+  }
+};
+
+// Comments and headings are plain text, any markup is dropped and the rest escaped
+const TEXT_OPTIONS = {
+  allowedTags: [],
+  allowedAttributes: {},
+  disallowedTagsMode: 'discard'
+};
+
+export function sanitizeArticleHtml(html) {
+  return sanitizeHtml(typeof html === 'string' ? html : '', ARTICLE_OPTIONS);
+}
+
+export function sanitizeText(text) {
+  return sanitizeHtml(typeof text === 'string' ? text : '', TEXT_OPTIONS).trim();
+}
+
+// Sanitize every HTML field of a parsed content object
+export function sanitizeContent(content) {
+  const clean = { ...content };
+
+  if (typeof clean.text === 'string') clean.text = sanitizeArticleHtml(clean.text);
+  if (typeof clean.formatted === 'string') clean.formatted = sanitizeArticleHtml(clean.formatted);
+
+  if (Array.isArray(clean.sections)) {
+    clean.sections = clean.sections.map(section => ({
+      ...section,
+      title: sanitizeText(section?.title),
+      subtitle: sanitizeText(section?.subtitle),
+      icon: /^[a-z0-9 -]+$/i.test(section?.icon || '') ? section.icon : undefined,
+      content: sanitizeArticleHtml(section?.content)
+    }));
+  }
+
+  return clean;
+}
@@ -0,0 +1,155 @@
+// lib/search.js - full-text search over live articles with facets and cursor paging
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+import { PUBLIC_PROFILE_COLUMNS, publicProfile } from './profile.js';
+import { imageVariants } from './images.js';
+import { articlePath } from './articles.js';
+import { getCategory } from './taxonomy.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const SEARCH_SORTS = ['relevance', 'newest', 'popular'];
+export const MAX_QUERY_LENGTH = 200;
+export const SEARCH_PAGE_SIZE = 20;
+export const MAX_SEARCH_PAGE_SIZE = 50;
+
+// The cursor remembers its sort so it can't be replayed against another ordering
+export function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ k: row.sort_key, i: row.id, s: sort })).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort) {
+  try {
+    const { k, i, s } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof k === 'number' && /^[0-9a-f-]{36}$/i.test(String(i)) && s === sort ? { k, i } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Snippets come back as plain text with <mark> around matches: escape the text,
+// keep the marks
+function safeSnippet(snippet) {
+  return String(snippet || '')
+    .split(/(<\/?mark>)/)
+    .map(part => part === '<mark>' || part === '</mark>'
+      ? part
+      : part
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;'))
+    .join('');
+}
+
+function rpcFilters(q, filters) {
+  return {
+    p_query: q || null,
+    p_category: filters.category || null,
+    p_tag: filters.tag || null,
+    p_author: filters.authorId || null,
+    p_from: filters.from ? filters.from.toISOString() : null,
+    p_to: filters.to ? filters.to.toISOString() : null
+  };
+}
+
+async function loadProfiles(userIds) {
+  if (!userIds.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select(PUBLIC_PROFILE_COLUMNS)
+    .in('id', userIds);
+
+  if (error) throw error;
+  return new Map(data.map(user => [user.id, user]));
+}
+
+// One page of results. filters: { category, tag, authorId, from, to } with
+// values already normalized. Returns { results, nextCursor } or { error }.
+export async function searchArticles(q, filters = {}, { sort = 'relevance', cursor = null, limit = SEARCH_PAGE_SIZE } = {}) {
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+  if (cursor && !position) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+  const { data: hits, error } = await supabase.rpc('search_articles', {
+    ...rpcFilters(q, filters),
+    p_sort: sort,
+    p_after_key: position ? position.k : null,
+    p_after_id: position ? position.i : null,
+    p_limit: pageSize + 1
+  });
+
+  if (error) throw error;
+
+  const page = hits.slice(0, pageSize);
+  if (!page.length) {
+    return { results: [], nextCursor: null };
+  }
+
+  const { data: articles, error: articlesError } = await supabase
+    .from('superhero_articles')
+    .select('id, encrypted_id, title, page_name, description, image_url, vercel_url, tags, category, views, user_id, created_at')
+    .in('id', page.map(hit => hit.id))
+    .eq('status', 'active');
+
+  if (articlesError) throw articlesError;
+
+  const byId = new Map(articles.map(article => [article.id, article]));
+  const profiles = await loadProfiles([...new Set(articles.map(article => article.user_id))]);
+
+  // Keep the ranked order; anything unpublished since the search ran is dropped
+  const results = page
+    .filter(hit => byId.has(hit.id))
+    .map(hit => {
+      const article = byId.get(hit.id);
+      return {
+        id: article.id,
+        encryptedId: article.encrypted_id,
+        title: article.title,
+        pageName: article.page_name,
+        articlePath: article.page_name ? articlePath(article.page_name) : null,
+        vercelUrl: article.vercel_url,
+        description: article.description,
+        imageUrl: imageVariants(article.image_url)?.card,
+        tags: article.tags || [],
+        category: article.category,
+        author: publicProfile(profiles.get(article.user_id), article.user_id),
+        views: article.views || 0,
+        created: article.created_at,
+        snippet: safeSnippet(hit.snippet),
+        score: hit.rank
+      };
+    });
+
+  return {
+    results,
+    nextCursor: hits.length > pageSize ? encodeCursor(page[page.length - 1], sort) : null
+  };
+}
+
+// Counts per category, tag and author over everything the search matches
+export async function searchFacets(q, filters = {}) {
+  const { data, error } = await supabase.rpc('search_article_facets', rpcFilters(q, filters));
+  if (error) throw error;
+
+  const rows = facet => data.filter(row => row.facet === facet);
+  const profiles = await loadProfiles(rows('author').map(row => row.value));
+
+  return {
+    total: rows('total')[0]?.count || 0,
+    categories: rows('category').map(row => ({
+      value: row.value,
+      label: getCategory(row.value).name,
+      count: row.count
+    })),
+    tags: rows('tag').map(row => ({ value: row.value, count: row.count })),
+    authors: rows('author').map(row => {
+      const author = publicProfile(profiles.get(row.value), row.value);
+      return { value: author.username, author, count: row.count };
+    })
+  };
+}
@@ -0,0 +1,164 @@
+// lib/taxonomy.js - category registry and tag normalization, aliases and counts
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG } from '../supabase-config.js';
+
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceKey);
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 20;
+export const DEFAULT_CATEGORY = 'general';
+
+// Every category an article can be filed under. renewalHint is the category
+// specific advice given by cleanup recommendations and renewal suggestions.
+export const CATEGORIES = [
+  { slug: 'comic', name: 'Comic Book Heroes', renewalHint: 'Add recent story arcs and crossover events' },
+  { slug: 'movie', name: 'Movie Adaptations', renewalHint: 'Include latest film adaptations and casting news' },
+  { slug: 'tv', name: 'TV Series', renewalHint: 'Cover the latest season and episode guides' },
+  { slug: 'animation', name: 'Animation', renewalHint: 'Include voice actor information and new animated appearances' },
+  { slug: 'manga', name: 'Manga/Anime', renewalHint: 'Add recent chapters and anime adaptation news' },
+  { slug: 'original', name: 'Original Characters', renewalHint: 'Expand the character backstory with new material' },
+  { slug: 'crossover', name: 'Crossovers', renewalHint: 'Add the latest crossover events and team-ups' },
+  { slug: 'analysis', name: 'Character Analysis', renewalHint: 'Revisit the analysis against recent storylines' },
+  { slug: DEFAULT_CATEGORY, name: 'General', renewalHint: null }
+];
+
+const CATEGORY_BY_SLUG = new Map(CATEGORIES.map(category => [category.slug, category]));
+
+export function getCategory(slug) {
+  return CATEGORY_BY_SLUG.get(slug) || CATEGORY_BY_SLUG.get(DEFAULT_CATEGORY);
+}
+
+// Registry slug for a submitted category, accepting any casing of the slug or
+// display name. Empty values get the default; unknown values return null.
+export function normalizeCategory(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CATEGORY;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const key = value.trim().toLowerCase();
+  const match = CATEGORIES.find(category => category.slug === key || category.name.toLowerCase() === key);
+  return match ? match.slug : null;
+}
+
+// Canonical spelling of a single tag: lowercase, single spaces, no leading #
+// and only letters, numbers and a little punctuation. Returns null when empty.
+export function normalizeTag(value) {
+  if (typeof value !== 'string') return null;
+
+  const tag = value
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[^\p{L}\p{N}\s&'.+-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+
+  return tag || null;
+}
+
+// Normalize a submitted tag list, rewrite aliases to their canonical tag and
+// drop duplicates, keeping the author's order
+export async function resolveTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length === 0) return [];
+
+  const { data: aliases, error } = await supabase
+    .from('tag_aliases')
+    .select('alias, tag')
+    .in('alias', normalized);
+
+  if (error) throw error;
+
+  const canonical = new Map(aliases.map(row => [row.alias, row.tag]));
+  return [...new Set(normalized.map(tag => canonical.get(tag) || tag))].slice(0, MAX_TAGS);
+}
+
+// Categories of the registry with their number of live articles
+export async function categoryCounts() {
+  const { data, error } = await supabase
+    .from('category_counts')
+    .select('category, article_count');
+
+  if (error) throw error;
+
+  const counts = new Map(data.map(row => [row.category, row.article_count]));
+  return CATEGORIES.map(({ slug, name }) => ({ slug, name, articleCount: counts.get(slug) || 0 }));
+}
+
+// Tags in use on live articles, most used first. q filters by prefix.
+export async function tagCounts({ q = '', limit = 50, offset = 0 } = {}) {
+  let query = supabase
+    .from('tag_counts')
+    .select('tag, article_count', { count: 'exact' })
+    .order('article_count', { ascending: false })
+    .order('tag', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  const prefix = normalizeTag(q);
+  if (prefix) {
+    query = query.ilike('tag', `${prefix}%`);
+  }
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  return {
+    items: data.map(row => ({ tag: row.tag, articleCount: row.article_count })),
+    total: count || 0
+  };
+}
+
+// Existing tags for the upload wizard's tag field. Typing an alias suggests
+// the tag it stands for; tags the author already picked are left out.
+export async function suggestTags(q, { exclude = [], limit = 8 } = {}) {
+  const prefix = normalizeTag(q);
+  const skip = new Set(exclude.map(normalizeTag).filter(Boolean));
+
+  const { items } = await tagCounts({ q: prefix || '', limit: limit + skip.size });
+  const suggestions = items.map(item => item.tag);
+
+  if (prefix) {
+    const { data: aliases, error } = await supabase
+      .from('tag_aliases')
+      .select('tag')
+      .ilike('alias', `${prefix}%`)
+      .limit(limit);
+
+    if (error) throw error;
+    aliases.forEach(row => suggestions.push(row.tag));
+  }
+
+  return [...new Set(suggestions)].filter(tag => !skip.has(tag)).slice(0, limit);
+}
+
+// Replace a tag with another on every article and make the old spelling an
+// alias, so later submissions using it get the new tag too. Also used to
+// declare a synonym that no article uses yet.
+// Returns { tag, articlesUpdated } or { error }.
+export async function mergeTags(fromValue, intoValue, actorId = null) {
+  const from = normalizeTag(fromValue);
+  const [into] = await resolveTags([intoValue]);
+
+  if (!from || !into) {
+    return { error: 'Both tags are required' };
+  }
+  if (from === into) {
+    return { error: 'Cannot merge a tag into itself' };
+  }
+
+  const { data: articlesUpdated, error } = await supabase.rpc('merge_tags', {
+    from_tag: from,
+    into_tag: into,
+    actor_id: actorId
+  });
+
+  if (error) throw error;
+  return { tag: into, articlesUpdated };
+}
@@ -0,0 +1,129 @@
+// lib/totp.js - RFC 6238 time-based one-time passwords for authenticator apps
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ISSUER = 'SuperArticles';
+
+// RFC 4648 base32 without padding, as expected by authenticator apps
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// 160-bit shared secret, base32 encoded
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a given counter
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Current TOTP time step
+export function currentTotpCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// Verify a code within +/- window time steps. Returns the matched counter so
+// callers can reject replays, or null if the code does not match.
+export function verifyTotp(secret, code, window = 1, now = Date.now()) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const counter = currentTotpCounter(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(hotp(secret, counter + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+      return counter + offset;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import, usually rendered as a QR code
+export function totpProvisioningUri(accountName, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// TOTP secrets must be recoverable, so they are encrypted (not hashed) at rest
+function encryptionKey() {
+  if (!process.env.ENCRYPTION_SECRET) {
+    throw new Error('ENCRYPTION_SECRET is not configured');
+  }
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_SECRET).digest();
+}
+
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+export function decryptTotpSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
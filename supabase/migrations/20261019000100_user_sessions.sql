@@ -0,0 +1,15 @@
+-- Server-side sessions referenced by the `sid` claim of session tokens
+create table if not exists user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_id_idx
+  on user_sessions (user_id)
+  where revoked_at is null;
@@ -0,0 +1,15 @@
+-- Replace plaintext security codes with bcrypt hashes (bcryptjs-compatible $2a$),
+-- preserving array positions and the null markers of used codes
+create extension if not exists pgcrypto;
+
+update users
+set security_codes = (
+  select array_agg(
+    case when code is null or code like '$2%' then code
+         else crypt(upper(code), gen_salt('bf', 10))
+    end
+    order by position
+  )
+  from unnest(security_codes) with ordinality as codes (code, position)
+)
+where security_codes is not null;
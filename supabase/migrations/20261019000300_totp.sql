@@ -0,0 +1,7 @@
+-- Optional authenticator-app (TOTP) login
+alter table users
+  add column if not exists totp_secret text,
+  add column if not exists totp_pending_secret text,
+  add column if not exists totp_enabled_at timestamptz,
+  add column if not exists totp_last_counter bigint,
+  add column if not exists totp_recovery_codes text[];
@@ -0,0 +1,20 @@
+-- Shared counters for database-backed rate limits
+create table if not exists rate_limit_events (
+  id bigint generated always as identity primary key,
+  key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_events_key_created_at_idx
+  on rate_limit_events (key, created_at);
+
+-- Single-use passwordless sign-in links
+create table if not exists magic_links (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  requested_ip text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  consumed_ip text
+);
@@ -0,0 +1,3 @@
+-- Temporary lockout after repeated failed logins (counters live in rate_limit_events)
+alter table users
+  add column if not exists locked_until timestamptz;
@@ -0,0 +1,8 @@
+-- Accounts must confirm their address before publishing
+alter table users
+  add column if not exists email_verified_at timestamptz;
+
+-- Existing accounts predate verification and keep publishing rights
+update users
+set email_verified_at = coalesce(created_at, now())
+where email_verified_at is null;
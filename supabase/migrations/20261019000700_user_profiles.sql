@@ -0,0 +1,14 @@
+-- Public profile fields
+alter table users
+  add column if not exists username text,
+  add column if not exists avatar_url text,
+  add column if not exists bio text;
+
+create unique index if not exists users_username_key
+  on users (username)
+  where username is not null;
+
+-- Public bucket for uploaded avatars
+insert into storage.buckets (id, name, public)
+values ('avatars', 'avatars', true)
+on conflict (id) do nothing;
@@ -0,0 +1,31 @@
+-- Staff roles and bans
+alter table users
+  add column if not exists role text not null default 'user'
+    check (role in ('user', 'moderator', 'admin')),
+  add column if not exists banned_at timestamptz,
+  add column if not exists ban_reason text,
+  add column if not exists banned_by uuid references users (id) on delete set null;
+
+-- Lets a moderator restore an article to its previous state
+alter table superhero_articles
+  add column if not exists status_before_removal text;
+
+-- Audit log of every moderation decision
+create table if not exists moderation_actions (
+  id bigint generated always as identity primary key,
+  actor_id uuid references users (id) on delete set null,
+  action text not null,
+  target_type text not null,
+  target_id text not null,
+  reason text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table moderation_actions
+  drop constraint if exists moderation_actions_actor_id_fkey,
+  add constraint moderation_actions_actor_id_fkey
+    foreign key (actor_id) references users (id) on delete set null;
+
+create index if not exists moderation_actions_created_at_idx
+  on moderation_actions (created_at desc);
@@ -0,0 +1,19 @@
+-- Scoped personal access tokens (only the SHA-256 hash is stored)
+create table if not exists api_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  name text not null,
+  token_hash text not null unique,
+  token_prefix text not null,
+  scopes text[] not null,
+  rate_limit_per_hour integer not null default 100,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  last_used_ip text,
+  expires_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists api_tokens_user_id_idx
+  on api_tokens (user_id)
+  where revoked_at is null;
@@ -0,0 +1,39 @@
+-- Append-only edit history of published articles
+create table if not exists article_revisions (
+  id bigint generated always as identity primary key,
+  article_id uuid not null references superhero_articles (id) on delete cascade,
+  revision_number integer not null,
+  editor_id uuid references users (id) on delete set null,
+  summary text,
+  title text not null,
+  content text not null default '',
+  image_url text,
+  tags text[] not null default '{}',
+  category text,
+  created_at timestamptz not null default now(),
+  unique (article_id, revision_number)
+);
+
+alter table article_revisions
+  drop constraint if exists article_revisions_editor_id_fkey,
+  add constraint article_revisions_editor_id_fkey
+    foreign key (editor_id) references users (id) on delete set null;
+
+-- Revisions are immutable. Only cascades from deleting the article or the
+-- editor's account (which run at trigger depth > 1) may touch them.
+create or replace function prevent_revision_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  if pg_trigger_depth() > 1 then
+    return coalesce(new, old);
+  end if;
+  raise exception 'article revisions are immutable';
+end;
+$$;
+
+drop trigger if exists article_revisions_immutable on article_revisions;
+create trigger article_revisions_immutable
+  before update or delete on article_revisions
+  for each row execute function prevent_revision_changes();
@@ -0,0 +1,10 @@
+-- Drafts are superhero_articles rows with status 'draft'. Until publication
+-- they may lack a page name or image, and carry the wizard's extra state.
+alter table superhero_articles
+  alter column page_name drop not null,
+  alter column image_url drop not null,
+  add column if not exists draft_state jsonb;
+
+create index if not exists superhero_articles_drafts_idx
+  on superhero_articles (user_id, updated_at desc)
+  where status = 'draft';
@@ -0,0 +1,5 @@
+-- Public bucket for uploaded article images and their derivatives
+-- (<user id>/<random>/thumbnail.webp, card.webp and hero.webp)
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('article-images', 'article-images', true, 5242880, array['image/webp'])
+on conflict (id) do nothing;
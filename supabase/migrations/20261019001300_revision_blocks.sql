@@ -0,0 +1,3 @@
+-- Interactive content blocks are part of every revision snapshot
+alter table article_revisions
+  add column if not exists blocks jsonb not null default '[]'::jsonb;
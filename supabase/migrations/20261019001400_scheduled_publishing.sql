@@ -0,0 +1,9 @@
+-- Scheduled articles are superhero_articles rows with status 'scheduled'. They
+-- stay hidden until publish_at, when the cleanup cron (or the first view after
+-- that time) makes them active and starts the renewal clock.
+alter table superhero_articles
+  add column if not exists publish_at timestamptz;
+
+create index if not exists superhero_articles_scheduled_idx
+  on superhero_articles (publish_at)
+  where status = 'scheduled';
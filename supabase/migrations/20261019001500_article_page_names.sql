@@ -0,0 +1,10 @@
+-- Former page names of renamed articles. /a/<pageName> keeps resolving them
+-- to the article, and they stay reserved so no other article can take them.
+create table if not exists article_page_names (
+  page_name text primary key,
+  article_id uuid not null references superhero_articles (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists article_page_names_article_idx
+  on article_page_names (article_id);
@@ -0,0 +1,75 @@
+-- Tag synonyms: a submitted alias is stored as its canonical tag
+create table if not exists tag_aliases (
+  alias text primary key,
+  tag text not null,
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (alias <> tag)
+);
+
+create index if not exists tag_aliases_tag_idx on tag_aliases (tag);
+
+-- Bring existing tags to the normalized spelling (lowercase, single spaces)
+-- without reordering them, dropping duplicates this creates
+update superhero_articles
+set tags = (
+  select coalesce(array_agg(tag order by position), '{}')
+  from (
+    select tag, min(position) as position
+    from unnest(tags) with ordinality as t(raw, position),
+      lateral (select regexp_replace(lower(btrim(raw)), '\s+', ' ', 'g') as tag) normalized
+    where tag <> ''
+    group by tag
+  ) deduped
+)
+where tags is not null and cardinality(tags) > 0;
+
+update superhero_articles
+set category = lower(btrim(category))
+where category is not null and category <> lower(btrim(category));
+
+-- Usage over live articles, for the browse endpoints and tag suggestions
+create or replace view tag_counts as
+  select tag, count(*)::integer as article_count
+  from superhero_articles, unnest(tags) as tag
+  where status = 'active'
+  group by tag;
+
+create or replace view category_counts as
+  select category, count(*)::integer as article_count
+  from superhero_articles
+  where status = 'active'
+  group by category;
+
+-- Replace from_tag with into_tag on every article (keeping order and dropping
+-- the duplicate when an article has both), move aliases of from_tag over and
+-- make from_tag itself an alias. Returns the number of articles changed.
+create or replace function merge_tags(from_tag text, into_tag text, actor_id uuid default null)
+returns integer
+language plpgsql
+as $$
+declare
+  changed integer;
+begin
+  update superhero_articles
+  set tags = (
+    select array_agg(tag order by position)
+    from (
+      select tag, min(position) as position
+      from unnest(array_replace(tags, from_tag, into_tag)) with ordinality as t(tag, position)
+      group by tag
+    ) deduped
+  )
+  where from_tag = any(tags);
+
+  get diagnostics changed = row_count;
+
+  update tag_aliases set tag = into_tag where tag = from_tag;
+
+  insert into tag_aliases (alias, tag, created_by)
+  values (from_tag, into_tag, actor_id)
+  on conflict (alias) do update set tag = excluded.tag, created_by = excluded.created_by;
+
+  return changed;
+end;
+$$;
@@ -0,0 +1,18 @@
+-- Collaborators invited to an article by its owner. Invitations are addressed
+-- to an email and bound to the account that accepts them (user_id).
+-- editor: edit, renew and preview before publication; viewer: preview only.
+create table if not exists article_collaborators (
+  id uuid primary key default gen_random_uuid(),
+  article_id uuid not null references superhero_articles (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('editor', 'viewer')),
+  user_id uuid references users (id) on delete cascade,
+  invited_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  unique (article_id, email)
+);
+
+create index if not exists article_collaborators_user_idx
+  on article_collaborators (user_id)
+  where accepted_at is not null;
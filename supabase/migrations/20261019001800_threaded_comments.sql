@@ -0,0 +1,17 @@
+-- Threaded comments: replies point at their parent (depth 0 is top level).
+-- Deleting a comment is a soft delete so its replies keep their place in the
+-- thread; edited_at marks comments changed after posting.
+alter table comments
+  add column if not exists parent_id uuid references comments (id) on delete cascade,
+  add column if not exists depth smallint not null default 0 check (depth between 0 and 3),
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references users (id) on delete set null;
+
+-- Keyset pagination over (created_at, id) within an article or a parent comment
+create index if not exists comments_thread_idx
+  on comments (article_id, parent_id, created_at, id);
+
+create index if not exists comments_parent_idx
+  on comments (parent_id)
+  where parent_id is not null;
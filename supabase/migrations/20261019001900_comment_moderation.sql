@@ -0,0 +1,45 @@
+-- Comment moderation. Comments flagged by the spam filters or by enough reader
+-- reports are held as pending: only their author sees them until a moderator
+-- approves (approved) or rejects (rejected) them.
+alter table comments
+  add column if not exists moderation_status text not null default 'approved'
+    check (moderation_status in ('approved', 'pending', 'rejected')),
+  add column if not exists moderation_reasons text[] not null default '{}',
+  add column if not exists reviewed_by uuid references users (id) on delete set null,
+  add column if not exists reviewed_at timestamptz;
+
+create index if not exists comments_pending_idx
+  on comments (created_at)
+  where moderation_status = 'pending';
+
+-- Duplicate-content check looks at the author's recent comments
+create index if not exists comments_user_created_idx
+  on comments (user_id, created_at desc);
+
+-- Reader reports, one per reader and comment
+create table if not exists comment_reports (
+  id bigint generated always as identity primary key,
+  comment_id uuid not null references comments (id) on delete cascade,
+  reporter_id uuid not null references users (id) on delete cascade,
+  reason text not null check (reason in ('spam', 'harassment', 'hate', 'off-topic', 'other')),
+  details text,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  resolved_by uuid references users (id) on delete set null,
+  unique (comment_id, reporter_id)
+);
+
+create index if not exists comment_reports_open_idx
+  on comment_reports (comment_id)
+  where resolved_at is null;
+
+-- Words and patterns that hold a comment for review, managed from the admin console.
+-- Each pattern is a word or phrase, matched whole and case-insensitively.
+create table if not exists comment_filters (
+  id bigint generated always as identity primary key,
+  pattern text not null,
+  kind text not null default 'word' check (kind in ('word')),
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (kind, pattern)
+);
@@ -0,0 +1,34 @@
+-- Emoji reactions. A like is now one of a fixed set of reactions: every row
+-- in article_likes carries the reaction, existing likes become 'love'.
+-- Readers keep one reaction per article, so superhero_articles.likes still
+-- counts reactions of any kind.
+alter table article_likes
+  add column if not exists reaction text not null default 'love'
+    check (reaction in ('love', 'powerful', 'mind-blown', 'heroic', 'villainous', 'hilarious'));
+
+-- One reaction per reader and article
+delete from article_likes a
+  using article_likes b
+  where a.article_id = b.article_id
+    and a.user_id = b.user_id
+    and (a.created_at, a.id) > (b.created_at, b.id);
+
+-- The duplicates counted towards likes, recount from what is left
+update superhero_articles s
+  set likes = counted.count
+  from (
+    select s2.id, count(l.id)::int as count
+    from superhero_articles s2
+    left join article_likes l on l.article_id = s2.id
+    group by s2.id
+  ) counted
+  where counted.id = s.id
+    and s.likes is distinct from counted.count;
+
+create unique index if not exists article_likes_article_user_idx
+  on article_likes (article_id, user_id);
+
+create or replace view article_reaction_counts as
+  select article_id, reaction, count(*)::int as count
+  from article_likes
+  group by article_id, reaction;
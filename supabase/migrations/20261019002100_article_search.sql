@@ -0,0 +1,175 @@
+-- Full-text search over live articles. Title and tags weigh most, then the
+-- description, then the article body (its HTML reduced to plain text).
+
+-- Plain text of an article body as stored in superhero_articles.content: JSON
+-- (sometimes double-encoded) with the sanitized HTML under "text"
+create or replace function article_plain_text(content text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  doc jsonb;
+  body text := content;
+begin
+  begin
+    doc := content::jsonb;
+    if jsonb_typeof(doc) = 'string' then
+      doc := (doc #>> '{}')::jsonb;
+    end if;
+    if jsonb_typeof(doc) = 'object' then
+      body := coalesce(doc ->> 'text', doc ->> 'formatted', '');
+    end if;
+  exception when others then
+    body := content;
+  end;
+
+  body := regexp_replace(coalesce(body, ''), '<[^>]*>', ' ', 'g');
+  body := replace(replace(replace(replace(replace(replace(body,
+    '&nbsp;', ' '), '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&#39;', ''''), '&amp;', '&');
+  return btrim(regexp_replace(body, '\s+', ' ', 'g'));
+end;
+$$;
+
+create or replace function article_search_document(title text, description text, content text, tags text[])
+returns tsvector
+language sql
+stable
+as $$
+  select setweight(to_tsvector('english', coalesce(title, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(array_to_string(tags, ' '), '')), 'A')
+    || setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    || setweight(to_tsvector('english', article_plain_text(content)), 'C');
+$$;
+
+alter table superhero_articles
+  add column if not exists search_vector tsvector;
+
+create or replace function superhero_articles_search_vector()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.search_vector := article_search_document(new.title, new.description, new.content::text, new.tags);
+  return new;
+end;
+$$;
+
+drop trigger if exists superhero_articles_search_vector on superhero_articles;
+create trigger superhero_articles_search_vector
+  before insert or update of title, description, content, tags on superhero_articles
+  for each row execute function superhero_articles_search_vector();
+
+update superhero_articles
+set search_vector = article_search_document(title, description, content::text, tags);
+
+create index if not exists superhero_articles_search_idx
+  on superhero_articles using gin (search_vector)
+  where status = 'active';
+
+-- Live articles matching the query (websearch syntax: "quoted phrases", or, -exclusions)
+-- and filters, with their rank. An empty query matches every live article.
+create or replace function search_article_candidates(
+  p_query text default null,
+  p_category text default null,
+  p_tag text default null,
+  p_author uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (id uuid, rank real)
+language sql
+stable
+as $$
+  select a.id,
+    case when q.query is null then 0::real else ts_rank_cd(a.search_vector, q.query) end
+  from superhero_articles a
+  cross join (
+    select case when coalesce(btrim(p_query), '') = '' then null
+      else websearch_to_tsquery('english', p_query) end as query
+  ) q
+  where a.status = 'active'
+    and (q.query is null or a.search_vector @@ q.query)
+    and (p_category is null or a.category = p_category)
+    and (p_tag is null or p_tag = any(a.tags))
+    and (p_author is null or a.user_id = p_author)
+    and (p_from is null or a.created_at >= p_from)
+    and (p_to is null or a.created_at < p_to);
+$$;
+
+-- One page of results in (sort_key, id) descending order, starting after the
+-- given cursor. sort: relevance (rank), newest (created_at) or popular (views).
+-- Snippets mark matches with <mark></mark> around otherwise unescaped text.
+create or replace function search_articles(
+  p_query text default null,
+  p_category text default null,
+  p_tag text default null,
+  p_author uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_sort text default 'relevance',
+  p_after_key double precision default null,
+  p_after_id uuid default null,
+  p_limit integer default 20
+)
+returns table (id uuid, rank real, snippet text, sort_key double precision)
+language sql
+stable
+as $$
+  with matches as (
+    select c.id, c.rank,
+      case p_sort
+        when 'newest' then extract(epoch from a.created_at)::double precision
+        when 'popular' then coalesce(a.views, 0)::double precision
+        else c.rank::double precision
+      end as sort_key
+    from search_article_candidates(p_query, p_category, p_tag, p_author, p_from, p_to) c
+    join superhero_articles a on a.id = c.id
+  ),
+  page as (
+    select m.*
+    from matches m
+    where p_after_key is null or (m.sort_key, m.id) < (p_after_key, p_after_id)
+    order by m.sort_key desc, m.id desc
+    limit least(greatest(p_limit, 1), 51)
+  )
+  select p.id, p.rank,
+    case when coalesce(btrim(p_query), '') = '' then left(article_plain_text(a.content::text), 200)
+      else ts_headline('english', article_plain_text(a.content::text), websearch_to_tsquery('english', p_query),
+        'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "')
+    end,
+    p.sort_key
+  from page p
+  join superhero_articles a on a.id = p.id
+  order by p.sort_key desc, p.id desc;
+$$;
+
+-- Facet counts over everything the query and filters match
+create or replace function search_article_facets(
+  p_query text default null,
+  p_category text default null,
+  p_tag text default null,
+  p_author uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (facet text, value text, count integer)
+language sql
+stable
+as $$
+  with matches as (
+    select a.category, a.tags, a.user_id
+    from search_article_candidates(p_query, p_category, p_tag, p_author, p_from, p_to) c
+    join superhero_articles a on a.id = c.id
+  )
+  select 'total', null, count(*)::integer from matches
+  union all
+  (select 'category', category, count(*)::integer from matches
+    where category is not null group by category order by 3 desc, 2 limit 20)
+  union all
+  (select 'tag', tag, count(*)::integer from matches, unnest(tags) as tag
+    group by tag order by 3 desc, 2 limit 20)
+  union all
+  (select 'author', user_id::text, count(*)::integer from matches
+    group by user_id order by 3 desc, 2 limit 10);
+$$;
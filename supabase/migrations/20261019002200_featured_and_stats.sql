@@ -0,0 +1,59 @@
+-- Homepage curation: staff pick articles to feature, in position order,
+-- optionally until expires_at. Remaining slots are filled from trending_articles.
+create table if not exists featured_articles (
+  article_id uuid primary key references superhero_articles (id) on delete cascade,
+  position integer not null default 0,
+  featured_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz
+);
+
+create index if not exists featured_articles_position_idx
+  on featured_articles (position, created_at desc);
+
+-- Live articles from the last 90 days scored by views and reactions, decaying with age
+create or replace view trending_articles as
+  select a.id,
+    (coalesce(a.views, 0) + 3 * coalesce(r.reactions, 0))
+      / power(extract(epoch from now() - a.created_at) / 3600 + 2, 1.5) as score
+  from superhero_articles a
+  left join (
+    select article_id, count(*) as reactions
+    from article_likes
+    group by article_id
+  ) r on r.article_id = a.id
+  where a.status = 'active'
+    and a.created_at > now() - interval '90 days';
+
+-- Platform totals for the homepage, recomputed by the cleanup job and on demand
+-- when stale, so reads never scan the big tables
+create table if not exists platform_stats (
+  id boolean primary key default true check (id),
+  articles integer not null default 0,
+  users integer not null default 0,
+  creators integer not null default 0,
+  total_views bigint not null default 0,
+  computed_at timestamptz not null default now()
+);
+
+create or replace function refresh_platform_stats()
+returns platform_stats
+language sql
+as $$
+  insert into platform_stats (id, articles, users, creators, total_views, computed_at)
+  select true,
+    (select count(*) from superhero_articles where status = 'active'),
+    (select count(*) from users where banned_at is null),
+    (select count(distinct user_id) from superhero_articles where status = 'active'),
+    (select coalesce(sum(views), 0) from superhero_articles),
+    now()
+  on conflict (id) do update set
+    articles = excluded.articles,
+    users = excluded.users,
+    creators = excluded.creators,
+    total_views = excluded.total_views,
+    computed_at = excluded.computed_at
+  returning *;
+$$;
+
+select refresh_platform_stats();
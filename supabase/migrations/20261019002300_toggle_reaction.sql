@@ -0,0 +1,34 @@
+-- Toggle a reader's reaction in one call, so the reaction row and the
+-- article's likes counter change together. Picking the current reaction again
+-- removes it, picking another one switches. The counter is recounted from
+-- article_likes rather than moved by one, so concurrent toggles can't drift it.
+-- Returns the reader's reaction afterwards, or null.
+create or replace function toggle_reaction(article uuid, reader uuid, picked text)
+returns text
+language plpgsql
+as $$
+declare
+  result text;
+begin
+  delete from article_likes
+  where article_id = article
+    and user_id = reader
+    and reaction = picked;
+
+  if found then
+    result := null;
+  else
+    insert into article_likes (article_id, user_id, reaction, created_at)
+    values (article, reader, picked, now())
+    on conflict (article_id, user_id) do update set reaction = excluded.reaction;
+
+    result := picked;
+  end if;
+
+  update superhero_articles
+  set likes = (select count(*)::int from article_likes where article_id = article)
+  where id = article;
+
+  return result;
+end;
+$$;
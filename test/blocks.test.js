@@ -0,0 +1,96 @@
+// test/blocks.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBlocks, storeBlockImages, MAX_BLOCKS } from '../lib/blocks.js';
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+
+test('validateBlocks treats missing blocks as none', () => {
+  assert.deepEqual(validateBlocks(undefined), { blocks: [] });
+  assert.deepEqual(validateBlocks(null), { blocks: [] });
+});
+
+test('validateBlocks rejects non-lists, too many blocks and unknown types', () => {
+  assert.ok((validateBlocks('powers')).error);
+  assert.ok((validateBlocks(Array(MAX_BLOCKS + 1).fill({ type: 'stats' }))).error);
+  assert.match((validateBlocks([{ type: 'poll' }])).error, /^Block 1: type must be one of/);
+});
+
+test('validateBlocks normalizes powers and strips markup', () => {
+  const result = validateBlocks([{
+    type: 'powers',
+    title: '<b>Abilities</b>',
+    items: [{ name: 'Flight', description: '<script>x</script>Fast', level: '90', extra: true }]
+  }]);
+
+  assert.deepEqual(result, {
+    blocks: [{ type: 'powers', title: 'Abilities', items: [{ name: 'Flight', description: 'Fast', level: 90 }] }]
+  });
+});
+
+test('validateBlocks checks power levels', () => {
+  const result = validateBlocks([{ type: 'powers', items: [{ name: 'Flight', level: 101 }] }]);
+  assert.match(result.error, /level/);
+});
+
+test('validateBlocks accepts year, month and day timeline dates only', () => {
+  const ok = validateBlocks([{
+    type: 'timeline',
+    events: [{ date: 1962, title: 'Debut' }, { date: '2011-08', title: 'Reboot' }, { date: '2023-06-02', title: 'Film' }]
+  }]);
+  assert.deepEqual(ok.blocks[0].events.map(event => event.date), ['1962', '2011-08', '2023-06-02']);
+
+  const bad = validateBlocks([{ type: 'timeline', events: [{ date: '2023-13', title: 'Nope' }] }]);
+  assert.match(bad.error, /^Block 1: Timeline dates/);
+});
+
+test('validateBlocks checks stat values', () => {
+  const ok = validateBlocks([{ type: 'stats', name: 'Hero', stats: [{ label: 'Strength', value: '80' }] }]);
+  assert.deepEqual(ok.blocks, [{ type: 'stats', title: '', name: 'Hero', stats: [{ label: 'Strength', value: 80 }] }]);
+
+  const bad = validateBlocks([{ type: 'stats', stats: [{ label: 'Strength', value: 8.5 }] }]);
+  assert.ok(bad.error);
+});
+
+test('validateBlocks keeps linked comparison images and rejects bad ones', () => {
+  const ok = validateBlocks([{
+    type: 'comparison',
+    before: { imageUrl: 'https://example.com/before.png', label: 'Then' },
+    after: { imageUrl: 'https://example.com/after.jpg' }
+  }]);
+  assert.deepEqual(ok.blocks[0].before, { imageUrl: 'https://example.com/before.png', label: 'Then' });
+  assert.deepEqual(ok.blocks[0].after, { imageUrl: 'https://example.com/after.jpg', label: '' });
+
+  const bad = validateBlocks([{
+    type: 'comparison',
+    before: { imageUrl: 'javascript:alert(1)' },
+    after: { imageUrl: 'https://example.com/after.jpg' }
+  }]);
+  assert.match(bad.error, /^Block 1: Comparison before image/);
+});
+
+test('validateBlocks checks comparison image data without storing it', () => {
+  // Smallest valid GIF
+  const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACwAAAAAAQABAAAC';
+  const block = side => ({ type: 'comparison', before: { imageUrl: side }, after: { imageUrl: 'https://example.com/after.png' } });
+
+  const ok = validateBlocks([block(gif)]);
+  assert.equal(ok.blocks[0].before.imageUrl, gif);
+
+  const notAnImage = validateBlocks([block(`data:image/png;base64,${Buffer.from('hello').toString('base64')}`)]);
+  assert.match(notAnImage.error, /^Block 1: Comparison before image: Image must be a PNG, JPEG, GIF or WebP image/);
+});
+
+test('storeBlockImages keeps linked images and leaves other blocks alone', async () => {
+  const { blocks } = validateBlocks([
+    { type: 'stats', stats: [{ label: 'Speed', value: 90 }] },
+    {
+      type: 'comparison',
+      before: { imageUrl: 'https://example.com/before.png', label: 'Then' },
+      after: { imageUrl: 'https://example.com/after.jpg' }
+    }
+  ]);
+
+  assert.deepEqual(await storeBlockImages(blocks, USER_ID), { blocks });
+  assert.deepEqual(await storeBlockImages([], USER_ID), { blocks: [] });
+});
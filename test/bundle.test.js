@@ -0,0 +1,102 @@
+// test/bundle.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BUNDLE_FORMAT, articleToRecord, recordToSubmission } from '../lib/bundle.js';
+
+const ARTICLE = {
+  title: 'Storm',
+  page_name: 'storm',
+  category: 'heroes',
+  tags: ['x-men', 'weather'],
+  status: 'active',
+  image_url: 'https://example.com/storm.png',
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: '2026-01-02T00:00:00.000Z',
+  content: JSON.stringify({
+    text: '<h2>Origins</h2><p>Born in <strong>Harlem</strong>.</p>',
+    blocks: [{
+      type: 'comparison',
+      title: '',
+      before: { imageUrl: 'https://example.com/before.png', label: 'Then' },
+      after: { imageUrl: 'https://example.com/after.png', label: 'Now' }
+    }]
+  })
+};
+
+test('recordToSubmission reads back what articleToRecord wrote', async () => {
+  const record = await articleToRecord(ARTICLE, { embedImages: false });
+  const submission = recordToSubmission(record);
+
+  assert.equal(submission.status, 'active');
+  assert.equal(submission.publishAt, undefined);
+  assert.equal(submission.input.title, 'Storm');
+  assert.equal(submission.input.pageName, 'storm');
+  assert.equal(submission.input.category, 'heroes');
+  assert.deepEqual(submission.input.tags, ['x-men', 'weather']);
+  assert.equal(submission.input.imageUrl, 'https://example.com/storm.png');
+  assert.match(submission.input.content, /<h2>Origins<\/h2>/);
+  assert.match(submission.input.content, /<strong>Harlem<\/strong>/);
+  assert.equal(submission.input.blocks[0].before.imageUrl, 'https://example.com/before.png');
+});
+
+test('recordToSubmission swaps image URLs for embedded data', () => {
+  const markdown = [
+    '---',
+    'title: Storm',
+    'image: https://example.com/storm.png',
+    'publish_at: 2026-11-01T09:00:00.000Z',
+    'blocks:',
+    '  - type: comparison',
+    '    before: { imageUrl: "https://example.com/before.png" }',
+    '    after: { imageUrl: "https://example.com/after.png" }',
+    '---',
+    'Body'
+  ].join('\n');
+
+  const submission = recordToSubmission({
+    format: BUNDLE_FORMAT,
+    markdown,
+    images: {
+      'https://example.com/storm.png': 'data:image/png;base64,AAAA',
+      'https://example.com/after.png': 'data:image/png;base64,BBBB'
+    }
+  });
+
+  assert.equal(submission.publishAt, '2026-11-01T09:00:00.000Z');
+  assert.equal(submission.input.imageUrl, 'data:image/png;base64,AAAA');
+  assert.equal(submission.input.blocks[0].before.imageUrl, 'https://example.com/before.png');
+  assert.equal(submission.input.blocks[0].after.imageUrl, 'data:image/png;base64,BBBB');
+});
+
+test('recordToSubmission rejects records of another format', () => {
+  assert.ok(recordToSubmission(null).error);
+  assert.ok(recordToSubmission({ format: 'other/1', markdown: '' }).error);
+  assert.ok(recordToSubmission({ format: BUNDLE_FORMAT, markdown: 42 }).error);
+});
+
+test('recordToSubmission rejects unparseable front matter', () => {
+  const result = recordToSubmission({ format: BUNDLE_FORMAT, markdown: '---\ntitle: [unclosed\n---\nBody' });
+  assert.equal(result.error, 'Front matter could not be parsed');
+});
+
+test('recordToSubmission refuses JavaScript front matter without running it', () => {
+  globalThis.bundleFrontMatterRan = false;
+
+  for (const fence of ['---js', '---javascript', '--- JS', '---json']) {
+    const markdown = `${fence}\n{ title: (globalThis.bundleFrontMatterRan = true, 'Pwned') }\n---\nBody`;
+    const result = recordToSubmission({ format: BUNDLE_FORMAT, markdown });
+    assert.equal(result.error, 'Front matter must be YAML', fence);
+  }
+
+  assert.equal(globalThis.bundleFrontMatterRan, false);
+});
+
+test('recordToSubmission accepts an explicit YAML fence', () => {
+  const result = recordToSubmission({ format: BUNDLE_FORMAT, markdown: '---yaml\ntitle: Storm\n---\nBody' });
+  assert.equal(result.input.title, 'Storm');
+});
+
+test('recordToSubmission does not build custom YAML types', () => {
+  const markdown = '---\ntitle: !!js/function "function () { return 1; }"\n---\nBody';
+  assert.equal(recordToSubmission({ format: BUNDLE_FORMAT, markdown }).error, 'Front matter could not be parsed');
+});
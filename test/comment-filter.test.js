@@ -0,0 +1,30 @@
+// test/comment-filter.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter } from '../lib/comment-filter.js';
+
+test('word filters match whole words and phrases, case-insensitively', () => {
+  const word = compileFilter('word', 'spam');
+  assert.ok(word.test('Buy SPAM now'));
+  assert.ok(word.test('spam'));
+  assert.ok(!word.test('spammer'));
+
+  const phrase = compileFilter('word', 'free money');
+  assert.ok(phrase.test('Get free money!'));
+  assert.ok(!phrase.test('free moneyball'));
+});
+
+test('word filters treat regular expression syntax literally', () => {
+  const filter = compileFilter('word', '(a+)+$');
+  assert.ok(filter.test('look: (a+)+$ here'));
+  assert.ok(!filter.test('aaaa'));
+});
+
+test('regular expression filters are not supported', () => {
+  assert.equal(compileFilter('regex', 'a+'), null);
+
+  // Would backtrack for ages as a raw pattern; as a word it returns at once
+  const started = Date.now();
+  compileFilter('word', '(a+)+$').test(`${'a'.repeat(5000)}!`);
+  assert.ok(Date.now() - started < 1000);
+});
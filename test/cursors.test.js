@@ -0,0 +1,37 @@
+// test/cursors.test.js - opaque paging cursors of comments and search
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as comments from '../lib/comments.js';
+import * as search from '../lib/search.js';
+
+const ID = '3f2504e0-4f89-41d3-9a0c-0305e82c3301';
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('comment cursors round-trip created_at and id', () => {
+  const cursor = comments.encodeCursor({ created_at: '2026-10-19T12:00:00.000Z', id: ID });
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(comments.decodeCursor(cursor), { c: '2026-10-19T12:00:00.000Z', i: ID });
+});
+
+test('comment cursors reject garbage and injected values', () => {
+  assert.equal(comments.decodeCursor('not a cursor'), null);
+  assert.equal(comments.decodeCursor(encode({ c: 'yesterday', i: ID })), null);
+  // The id ends up in a PostgREST filter, so anything but hex and dashes is refused
+  assert.equal(comments.decodeCursor(encode({ c: '2026-10-19T12:00:00.000Z', i: `${ID}),id.gt.0` })), null);
+});
+
+test('search cursors round-trip the sort key and id', () => {
+  const cursor = search.encodeCursor({ sort_key: 0.25, id: ID }, 'relevance');
+  assert.deepEqual(search.decodeCursor(cursor, 'relevance'), { k: 0.25, i: ID });
+});
+
+test('search cursors only work with the sort they were made for', () => {
+  const cursor = search.encodeCursor({ sort_key: 1760000000, id: ID }, 'newest');
+  assert.equal(search.decodeCursor(cursor, 'popular'), null);
+});
+
+test('search cursors reject garbage and malformed values', () => {
+  assert.equal(search.decodeCursor('%%%', 'relevance'), null);
+  assert.equal(search.decodeCursor(encode({ k: '1', i: ID, s: 'relevance' }), 'relevance'), null);
+  assert.equal(search.decodeCursor(encode({ k: 1, i: 'abc', s: 'relevance' }), 'relevance'), null);
+});
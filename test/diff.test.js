@@ -0,0 +1,43 @@
+// test/diff.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitLines, diffLines } from '../lib/diff.js';
+
+test('splitLines breaks after block-level closing tags and drops blank lines', () => {
+  assert.deepEqual(splitLines('<p>One</p><p>Two</p>\n\n<ul><li>a</li></ul>'), ['<p>One</p>', '<p>Two</p>', '<ul><li>a</li>', '</ul>']);
+  assert.deepEqual(splitLines(null), []);
+});
+
+test('diffLines reports unchanged text as equal', () => {
+  assert.deepEqual(diffLines('<p>a</p><p>b</p>', '<p>a</p><p>b</p>'), [
+    { type: 'equal', value: '<p>a</p>' },
+    { type: 'equal', value: '<p>b</p>' }
+  ]);
+});
+
+test('diffLines finds additions, removals and replacements', () => {
+  assert.deepEqual(diffLines('<p>a</p><p>b</p><p>c</p>', '<p>a</p><p>B</p><p>c</p><p>d</p>'), [
+    { type: 'equal', value: '<p>a</p>' },
+    { type: 'remove', value: '<p>b</p>' },
+    { type: 'add', value: '<p>B</p>' },
+    { type: 'equal', value: '<p>c</p>' },
+    { type: 'add', value: '<p>d</p>' }
+  ]);
+});
+
+test('diffLines handles empty sides', () => {
+  assert.deepEqual(diffLines('', '<p>new</p>'), [{ type: 'add', value: '<p>new</p>' }]);
+  assert.deepEqual(diffLines('<p>old</p>', ''), [{ type: 'remove', value: '<p>old</p>' }]);
+  assert.deepEqual(diffLines('', ''), []);
+});
+
+test('diffLines keeps the common prefix and suffix around a large change', () => {
+  const before = ['<p>start</p>', ...Array.from({ length: 2500 }, (_, i) => `<p>old ${i}</p>`), '<p>end</p>'].join('');
+  const after = ['<p>start</p>', ...Array.from({ length: 2500 }, (_, i) => `<p>new ${i}</p>`), '<p>end</p>'].join('');
+  const diff = diffLines(before, after);
+
+  assert.deepEqual(diff[0], { type: 'equal', value: '<p>start</p>' });
+  assert.deepEqual(diff[diff.length - 1], { type: 'equal', value: '<p>end</p>' });
+  assert.equal(diff.filter(line => line.type === 'remove').length, 2500);
+  assert.equal(diff.filter(line => line.type === 'add').length, 2500);
+});
@@ -0,0 +1,149 @@
+// test/images.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  isManagedImageUrl,
+  imageVariants,
+  ownerImageFolders,
+  deleteOwnerImages,
+  readImageAsDataUrl
+} from '../lib/images.js';
+
+const STORAGE = `${process.env.SUPABASE_URL}/storage/v1/object/public/article-images`;
+const HERO = `${STORAGE}/3f2504e0-4f89-41d3-9a0c-0305e82c3301/0123456789abcdef/hero.webp`;
+
+test('isManagedImageUrl accepts hero images in our storage bucket', () => {
+  assert.equal(isManagedImageUrl(HERO), true);
+});
+
+test('isManagedImageUrl rejects look-alikes on other origins or schemes', () => {
+  assert.equal(isManagedImageUrl('https://evil.example/article-images/u/0123456789abcdef/hero.webp'), false);
+  assert.equal(isManagedImageUrl(HERO.replace('https://', 'http://')), false);
+  assert.equal(isManagedImageUrl(HERO.replace('https://', 'https://user@')), false);
+  assert.equal(isManagedImageUrl(HERO.replace('test.supabase.co', 'test.supabase.co.evil.example')), false);
+  assert.equal(isManagedImageUrl(`javascript:alert(1)//${HERO}`), false);
+  assert.equal(isManagedImageUrl(`data:text/html,x/article-images/u/0123456789abcdef/hero.webp`), false);
+});
+
+test('isManagedImageUrl rejects other paths in the bucket', () => {
+  assert.equal(isManagedImageUrl(`${HERO}?x=1`), false);
+  assert.equal(isManagedImageUrl(`${STORAGE}/u/0123456789abcdef/card.webp`), false);
+  assert.equal(isManagedImageUrl(`${STORAGE}/u/../../avatars/0123456789abcdef/hero.webp`), false);
+  assert.equal(isManagedImageUrl(`${STORAGE}/hero.webp`), false);
+  assert.equal(isManagedImageUrl(null), false);
+});
+
+test('isManagedImageUrl accepts the local storage path only in local mode', () => {
+  const local = '/uploads/article-images/3f2504e0/0123456789abcdef/hero.webp';
+  assert.equal(isManagedImageUrl(local), false);
+
+  process.env.IMAGE_STORAGE_DIR = '/tmp/superarticles-test-images';
+  try {
+    assert.equal(isManagedImageUrl(local), true);
+    assert.equal(isManagedImageUrl('/uploads/article-images/../secret/0123456789abcdef/hero.webp'), false);
+    assert.equal(isManagedImageUrl(HERO), false);
+  } finally {
+    delete process.env.IMAGE_STORAGE_DIR;
+  }
+});
+
+test('imageVariants derives sizes for managed images only', () => {
+  assert.deepEqual(imageVariants(HERO), {
+    thumbnail: HERO.replace('hero.webp', 'thumbnail.webp'),
+    card: HERO.replace('hero.webp', 'card.webp'),
+    hero: HERO
+  });
+
+  const external = 'https://evil.example/article-images/u/0123456789abcdef/hero.webp';
+  assert.deepEqual(imageVariants(external), { thumbnail: external, card: external, hero: external });
+  assert.equal(imageVariants(''), null);
+});
+
+test('ownerImageFolders finds the upload folders of one owner', () => {
+  const content = JSON.stringify({
+    blocks: [{ type: 'comparison', before: { imageUrl: `${STORAGE}/editor/1111111111111111/hero.webp` } }]
+  });
+  const text = `${STORAGE}/editor/0123456789abcdef/hero.webp ${content} ${STORAGE}/other/2222222222222222/hero.webp`;
+
+  assert.deepEqual(ownerImageFolders('article-images', 'editor', text), ['0123456789abcdef', '1111111111111111']);
+  assert.deepEqual(ownerImageFolders('article-images', 'editor', null), []);
+});
+
+test('deleteOwnerImages keeps the folders it is told to', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'superarticles-images-'));
+  const ownerDir = path.join(root, 'article-images', 'editor');
+  for (const folder of ['0123456789abcdef', '1111111111111111']) {
+    await fs.mkdir(path.join(ownerDir, folder), { recursive: true });
+    await fs.writeFile(path.join(ownerDir, folder, 'hero.webp'), 'x');
+  }
+
+  process.env.IMAGE_STORAGE_DIR = root;
+  try {
+    await deleteOwnerImages('article-images', 'editor', ['1111111111111111']);
+    assert.deepEqual(await fs.readdir(ownerDir), ['1111111111111111']);
+
+    await deleteOwnerImages('article-images', 'editor');
+    await assert.rejects(fs.readdir(ownerDir), { code: 'ENOENT' });
+  } finally {
+    delete process.env.IMAGE_STORAGE_DIR;
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('readImageAsDataUrl never fetches URLs outside our storage', async () => {
+  const fetched = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async url => {
+    fetched.push(url);
+    throw new Error('unexpected fetch');
+  };
+
+  try {
+    assert.equal(await readImageAsDataUrl('http://169.254.169.254/latest/meta-data/iam.png'), null);
+    assert.equal(await readImageAsDataUrl('https://example.com/article-images/u/0123456789abcdef/hero.webp'), null);
+    assert.equal(await readImageAsDataUrl('file:///etc/passwd'), null);
+    assert.deepEqual(fetched, []);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('readImageAsDataUrl stops reading a body that grows past the limit', async () => {
+  let pulled = 0;
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    pull(controller) {
+      pulled++;
+      controller.enqueue(new Uint8Array(1024));
+    }
+  }));
+
+  try {
+    assert.equal(await readImageAsDataUrl(HERO, 4096), null);
+    assert.ok(pulled < 10);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('readImageAsDataUrl reads local managed images', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'superarticles-images-'));
+  const gif = Buffer.from('R0lGODlhAQABAAAAACwAAAAAAQABAAAC', 'base64');
+  await fs.mkdir(path.join(root, 'article-images', 'editor', '0123456789abcdef'), { recursive: true });
+  await fs.writeFile(path.join(root, 'article-images', 'editor', '0123456789abcdef', 'hero.webp'), gif);
+
+  process.env.IMAGE_STORAGE_DIR = root;
+  try {
+    assert.equal(
+      await readImageAsDataUrl('/uploads/article-images/editor/0123456789abcdef/hero.webp'),
+      `data:image/gif;base64,${gif.toString('base64')}`
+    );
+    assert.equal(await readImageAsDataUrl('/uploads/article-images/editor/0123456789abcdef/hero.webp', 4), null);
+  } finally {
+    delete process.env.IMAGE_STORAGE_DIR;
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+// test/mail.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { publicBaseUrl } from '../lib/mail.js';
+
+function withEnv(env, fn) {
+  const saved = { PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL, VERCEL_URL: process.env.VERCEL_URL };
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('publicBaseUrl prefers PUBLIC_BASE_URL without a trailing slash', () => {
+  withEnv({ PUBLIC_BASE_URL: 'https://superarticles.example/', VERCEL_URL: 'preview.vercel.app' }, () => {
+    assert.equal(publicBaseUrl(), 'https://superarticles.example');
+  });
+});
+
+test('publicBaseUrl adds the scheme to VERCEL_URL', () => {
+  withEnv({ PUBLIC_BASE_URL: undefined, VERCEL_URL: 'preview.vercel.app' }, () => {
+    assert.equal(publicBaseUrl(), 'https://preview.vercel.app');
+  });
+});
+
+test('publicBaseUrl falls back to the production address', () => {
+  withEnv({ PUBLIC_BASE_URL: undefined, VERCEL_URL: undefined }, () => {
+    assert.equal(publicBaseUrl(), 'https://superarticles.vercel.app');
+  });
+});
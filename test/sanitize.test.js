@@ -0,0 +1,61 @@
+// test/sanitize.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeArticleHtml, sanitizeText, sanitizeContent } from '../lib/sanitize.js';
+
+test('sanitizeArticleHtml drops scripts and event handlers', () => {
+  const html = sanitizeArticleHtml('<p onclick="steal()">Hi<script>alert(1)</script></p><img src="x" onerror="steal()">');
+  assert.equal(html, '<p>Hi</p><img src="x" />');
+});
+
+test('sanitizeArticleHtml rejects javascript: links and forces safe link attributes', () => {
+  assert.equal(
+    sanitizeArticleHtml('<a href="javascript:alert(1)">x</a>'),
+    '<a target="_blank" rel="noopener noreferrer nofollow">x</a>'
+  );
+  assert.equal(
+    sanitizeArticleHtml('<a href="https://example.com" target="_self">x</a>'),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+  );
+});
+
+test('sanitizeArticleHtml only keeps iframes from video hosts', () => {
+  assert.equal(
+    sanitizeArticleHtml('<iframe src="https://www.youtube.com/embed/abc"></iframe>'),
+    '<iframe src="https://www.youtube.com/embed/abc"></iframe>'
+  );
+  assert.equal(sanitizeArticleHtml('<iframe src="https://evil.example/embed"></iframe>'), '<iframe></iframe>');
+});
+
+test('sanitizeArticleHtml keeps Quill classes and allowed styles only', () => {
+  assert.equal(
+    sanitizeArticleHtml('<p class="ql-align-center other" style="text-align: center; position: fixed">x</p>'),
+    '<p class="ql-align-center" style="text-align:center">x</p>'
+  );
+});
+
+test('sanitizeArticleHtml allows data URLs on images only', () => {
+  assert.equal(sanitizeArticleHtml('<img src="data:image/png;base64,AAAA">'), '<img src="data:image/png;base64,AAAA" />');
+  assert.equal(sanitizeArticleHtml('<a href="data:text/html,x">x</a>'), '<a target="_blank" rel="noopener noreferrer nofollow">x</a>');
+});
+
+test('sanitizeText strips markup, escapes the rest and trims', () => {
+  assert.equal(sanitizeText('  <b>Bold</b> & <script>x</script>"quoted"  '), 'Bold &amp; "quoted"');
+  assert.equal(sanitizeText('<img src=x onerror=alert(1)>'), '');
+  assert.equal(sanitizeText(null), '');
+  assert.equal(sanitizeText(42), '');
+});
+
+test('sanitizeContent cleans every HTML field and section', () => {
+  const clean = sanitizeContent({
+    text: '<p>ok</p><script>x</script>',
+    formatted: '<p onclick="x">ok</p>',
+    sections: [{ title: '<i>Origins</i>', subtitle: 'Sub', icon: 'bolt"><script>', content: '<p>body</p><style>p{}</style>' }],
+    blocks: [{ type: 'stats' }]
+  });
+
+  assert.equal(clean.text, '<p>ok</p>');
+  assert.equal(clean.formatted, '<p>ok</p>');
+  assert.deepEqual(clean.sections, [{ title: 'Origins', subtitle: 'Sub', icon: undefined, content: '<p>body</p>' }]);
+  assert.deepEqual(clean.blocks, [{ type: 'stats' }]);
+});
@@ -0,0 +1,6 @@
+// test/setup.js - placeholder configuration so modules that create a Supabase
+// client on import can load without a project behind them
+process.env.SUPABASE_URL ||= 'https://test.supabase.co';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.SUPABASE_ANON_KEY ||= 'test-anon-key';
+process.env.ENCRYPTION_SECRET ||= 'test-encryption-secret';
@@ -0,0 +1,63 @@
+// test/totp.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateTotpSecret,
+  currentTotpCounter,
+  verifyTotp,
+  totpProvisioningUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+} from '../lib/totp.js';
+
+// RFC 6238 appendix B SHA1 secret ("12345678901234567890") in base32. The
+// reference values are 8 digits, authenticator apps use the last 6.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('verifyTotp accepts the RFC 6238 reference codes', () => {
+  assert.equal(verifyTotp(RFC_SECRET, '287082', 0, 59 * 1000), 1);
+  assert.equal(verifyTotp(RFC_SECRET, '081804', 0, 1111111109 * 1000), currentTotpCounter(1111111109 * 1000));
+  assert.equal(verifyTotp(RFC_SECRET, '050471', 0, 1111111111 * 1000), currentTotpCounter(1111111111 * 1000));
+});
+
+test('verifyTotp allows one step of clock drift by default', () => {
+  // 287082 is the code for counter 1 (30-59s)
+  assert.equal(verifyTotp(RFC_SECRET, '287082', 1, 75 * 1000), 1);
+  assert.equal(verifyTotp(RFC_SECRET, '287082', 1, 95 * 1000), null);
+});
+
+test('verifyTotp rejects malformed and wrong codes', () => {
+  assert.equal(verifyTotp(RFC_SECRET, '28708', 0, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', 0, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, '', 0, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, '287083', 0, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, ' 287 082 ', 0, 59 * 1000), 1);
+});
+
+test('generateTotpSecret returns a 160-bit base32 secret', () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(secret, generateTotpSecret());
+});
+
+test('totpProvisioningUri builds an otpauth URI', () => {
+  const uri = new URL(totpProvisioningUri('hero@example.com', RFC_SECRET));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/SuperArticles:hero@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'SuperArticles');
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('TOTP secrets survive encryption and tampering is detected', () => {
+  const payload = encryptTotpSecret(RFC_SECRET);
+  assert.notEqual(payload, encryptTotpSecret(RFC_SECRET));
+  assert.equal(decryptTotpSecret(payload), RFC_SECRET);
+
+  const [iv, tag, encrypted] = payload.split('.');
+  const flipped = Buffer.from(encrypted, 'base64url');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptTotpSecret([iv, tag, flipped.toString('base64url')].join('.')));
+});